@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+import { createAuditCollector } from "../src/collector.js";
+
+const USAGE = `Usage: triostack-audit-collector [options]
+
+Options:
+  --port <port>           Port to listen on (default: $PORT or 3002)
+  --host <host>           Interface to bind (default: all)
+  --store <type>          ndjson or sqlite (default: ndjson)
+  --path <path>           NDJSON directory or SQLite file
+  --api-key <key>         Accepted API key; repeat for several
+  --hmac <keyId:secret>   Accepted signing secret; repeat for several
+  --max-file-bytes <n>    Start a new NDJSON file at this size (default: 64MB)
+  --max-files <n>         NDJSON files kept, 0 for all (default: 30)
+  --insecure              Run without API keys or HMAC secrets; anyone who
+                          can reach the port can send and read events
+  -h, --help              Show this help
+
+Keys and secrets can also be set with AUDIT_COLLECTOR_API_KEYS and
+AUDIT_COLLECTOR_HMAC_SECRETS (comma-separated). One of them is required
+unless --insecure is given.`;
+
+function list(value) {
+  return value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+}
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+const STRING_OPTIONS = [
+  "port",
+  "host",
+  "store",
+  "path",
+  "api-key",
+  "hmac",
+  "max-file-bytes",
+  "max-files",
+];
+const REPEATED_OPTIONS = ["api-key", "hmac"];
+
+/**
+ * Parse `--name value`, `--name=value`, `--insecure` and `-h`.
+ * util.parseArgs needs Node 18.3, so this covers what the CLI uses.
+ */
+function parseOptions(args) {
+  const values = { store: "ndjson", "api-key": [], hmac: [], insecure: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "-h" || arg === "--help") {
+      values.help = true;
+      continue;
+    }
+    if (arg === "--insecure") {
+      values.insecure = true;
+      continue;
+    }
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/s);
+    if (!match || !STRING_OPTIONS.includes(match[1])) {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+    const [, name, inline] = match;
+    const value = inline ?? args[++i];
+    if (value === undefined) {
+      throw new Error(`Option '--${name} <value>' argument missing`);
+    }
+    if (REPEATED_OPTIONS.includes(name)) {
+      values[name].push(value);
+    } else {
+      values[name] = value;
+    }
+  }
+  return values;
+}
+
+function toNumber(name, value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    fail(`Invalid --${name}: ${value}`);
+  }
+  return number;
+}
+
+let values;
+try {
+  values = parseOptions(process.argv.slice(2));
+} catch (err) {
+  fail(err.message);
+}
+
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (!["ndjson", "sqlite"].includes(values.store)) {
+  fail(`Unknown --store: ${values.store}`);
+}
+
+const apiKeys = [
+  ...values["api-key"],
+  ...list(process.env.AUDIT_COLLECTOR_API_KEYS),
+];
+const hmacSecrets = {};
+for (const entry of [
+  ...values.hmac,
+  ...list(process.env.AUDIT_COLLECTOR_HMAC_SECRETS),
+]) {
+  const separator = entry.indexOf(":");
+  if (separator < 1) fail(`Invalid HMAC secret, expected keyId:secret`);
+  hmacSecrets[entry.slice(0, separator)] = entry.slice(separator + 1);
+}
+
+if (!apiKeys.length && !Object.keys(hmacSecrets).length && !values.insecure) {
+  fail("Set --api-key or --hmac, or pass --insecure to run without them");
+}
+
+const port = toNumber("port", values.port ?? process.env.PORT) ?? 3002;
+
+const collector = createAuditCollector({
+  store: values.store,
+  path: values.path,
+  rotation: {
+    maxBytes: toNumber("max-file-bytes", values["max-file-bytes"]),
+    maxFiles: toNumber("max-files", values["max-files"]),
+  },
+  apiKeys,
+  hmacSecrets,
+  allowAnonymous: values.insecure,
+});
+
+let server;
+try {
+  server = await collector.listen(port, values.host);
+} catch (err) {
+  console.error(`Could not start the collector: ${err.message}`);
+  process.exit(1);
+}
+
+console.log(
+  `Audit collector listening on port ${server.address().port} (${values.store} store)`
+);
+if (values.insecure) {
+  console.warn(
+    "Warning: --insecure is set; anyone who can reach the port can send and read events"
+  );
+}
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    await collector.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,348 @@
+import { createRequire } from "module";
+import { createAuditServer } from "./core.js";
+import { toAuditRequest, withResponseHeader } from "./fetch.js";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * `headers()` from `next/headers`, when Next.js can be resolved
+ * @returns {(() => Headers|Promise<Headers>)|null}
+ */
+function loadNextHeaders() {
+  try {
+    return require("next/headers").headers;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fastify plugin for audit logging
+ * @param {object} options
+ * @param {string} [options.dbUrl] - Where to persist audit logs over HTTP
+ * @param {string|object|Array} [options.transport] - Transport(s) to deliver events with
+ * @param {string} options.userIdHeader - Header name for user ID
+ * @param {boolean} options.enableGeo - Enable geolocation
+ * @param {function} options.onError - Error handler function
+ */
+export function fastifyAuditPlugin(options) {
+  const plugin = async function (fastify, opts) {
+    const auditServer = createAuditServer(options);
+
+    // `fastify.audit.log(...)` from handlers and services
+    fastify.decorate("audit", auditServer);
+
+    fastify.addHook("onClose", async () => {
+      await auditServer.close();
+    });
+
+    // Callback style, so the handler runs inside the request's audit context
+    fastify.addHook("onRequest", (request, reply, done) => {
+      const { run } = auditServer.observeRequest(request, reply.raw, {
+        setHeader: (id) =>
+          reply.header(options.requestIdHeader || "x-request-id", id),
+        describe: () => ({
+          route: request.url,
+          routePattern: request.routeOptions?.url ?? request.routerPath,
+          statusCode: reply.statusCode,
+          parsedBody: request.body,
+        }),
+        label: "Fastify audit",
+      });
+      run(done);
+    });
+  };
+
+  // Same as wrapping with fastify-plugin: hooks apply to the whole app
+  // instead of only to routes registered inside this plugin
+  plugin[Symbol.for("skip-override")] = true;
+  return plugin;
+}
+
+/**
+ * Koa middleware for audit logging.
+ * The returned middleware also exposes `log()`, `withContext()`, `flush()` and `close()`.
+ * @param {object} options
+ * @param {string} [options.dbUrl] - Where to persist audit logs over HTTP
+ * @param {string|object|Array} [options.transport] - Transport(s) to deliver events with
+ * @param {string} options.userIdHeader - Header name for user ID
+ * @param {boolean} options.enableGeo - Enable geolocation
+ * @param {function} options.onError - Error handler function
+ */
+export function koaAuditMiddleware(options) {
+  const auditServer = createAuditServer(options);
+
+  const middleware = async (ctx, next) => {
+    // Koa writes the body after the middleware chain returns; the core
+    // records the event once the response has actually been sent
+    const { run } = auditServer.observeRequest(ctx.req, ctx.res, {
+      // The Koa context gives resolvers access to ctx.state.user
+      identitySource: ctx,
+      setHeader: (id) => ctx.set(options.requestIdHeader || "x-request-id", id),
+      describe: () => ({
+        route: ctx.originalUrl || ctx.url,
+        routePattern: ctx._matchedRoute ?? ctx.routerPath,
+        method: ctx.method,
+        statusCode: ctx.status,
+        parsedBody: ctx.request.body,
+      }),
+      label: "Koa audit",
+    });
+
+    await run(next);
+  };
+
+  middleware.log = auditServer.log;
+  middleware.withContext = auditServer.withContext;
+  middleware.flush = auditServer.flush;
+  middleware.close = auditServer.close;
+  return middleware;
+}
+
+/**
+ * Adapter for Web Fetch API handlers: Next.js App Router route handlers
+ * and Server Actions, or anything taking a `Request` and returning a
+ * `Response`. For edge `middleware.ts`, use `triostack-audit-sdk/edge`.
+ *
+ * Returns `withAudit(handler, { route })`, which also exposes
+ * `action(name, fn)`, `log()`, `withContext()`, `flush()` and `close()`.
+ *
+ * @param {object} options - `createAuditServer` options, plus:
+ * @param {(promise: Promise) => void} [options.waitUntil] - Defer delivery past the response
+ *   (e.g. `after` from next/server); without it delivery is awaited before responding
+ * @param {(request: Request) => string} [options.clientIp] - Client IP resolver (default: `request.ip`)
+ * @param {() => Headers|Promise<Headers>} [options.headers] - Request headers for Server Actions
+ *   (default: `headers` from next/headers)
+ */
+export function nextAuditHandler(options = {}) {
+  const {
+    waitUntil,
+    clientIp,
+    headers: getHeaders = loadNextHeaders(),
+    ...serverOptions
+  } = options;
+  const auditServer = createAuditServer(serverOptions);
+  const requestIdHeader = options.requestIdHeader || "x-request-id";
+
+  /**
+   * Wrap a route handler
+   * @param {(request: Request, context?: object) => Promise<Response>} handler
+   * @param {object} [routeOptions]
+   * @param {string} [routeOptions.route] - Route pattern, e.g. '/api/users/[id]'
+   */
+  function withAudit(handler, { route } = {}) {
+    return async (request, ...rest) => {
+      const req = toAuditRequest(request, { clientIp });
+      const response = await auditServer.observeFetch(
+        req,
+        () => handler(request, ...rest),
+        {
+          describe: () => ({ routePattern: route }),
+          waitUntil,
+          label: "Next.js audit",
+        }
+      );
+
+      if (response instanceof Response && options.echoRequestId !== false) {
+        return withResponseHeader(
+          response,
+          requestIdHeader,
+          auditServer.requestId(req)
+        );
+      }
+      return response;
+    };
+  }
+
+  /**
+   * Wrap a Server Action; it is recorded as a POST to `action:<name>`
+   * @param {string} name
+   * @param {Function} fn
+   */
+  withAudit.action = (name, fn) => {
+    if (!getHeaders) {
+      throw new Error(
+        "Auditing Server Actions needs next/headers or a headers option"
+      );
+    }
+    return async (...args) => {
+      const request = { method: "POST", headers: await getHeaders() };
+      const req = toAuditRequest(request, { clientIp });
+      req.url = req.originalUrl = `action:${name}`;
+      return auditServer.observeFetch(req, () => fn(...args), {
+        describe: () => ({ routePattern: req.url }),
+        waitUntil,
+        label: "Next.js audit",
+      });
+    };
+  };
+
+  withAudit.log = auditServer.log;
+  withAudit.withContext = auditServer.withContext;
+  withAudit.flush = auditServer.flush;
+  withAudit.close = auditServer.close;
+  return withAudit;
+}
+
+/**
+ * Adapter for plain `http.createServer` / `https.createServer` handlers.
+ *
+ * Returns `withAudit(handler)`, which also exposes `log()`,
+ * `withContext()`, `flush()` and `close()`.
+ *
+ * @param {object} options - `createAuditServer` options
+ */
+export function nodeAuditHandler(options) {
+  const auditServer = createAuditServer(options);
+
+  /**
+   * Wrap a request listener
+   * @param {(req: import("http").IncomingMessage, res: import("http").ServerResponse) => *} handler
+   */
+  function withAudit(handler) {
+    return (req, res) => {
+      const { run } = auditServer.observeRequest(req, res, {
+        label: "Node audit",
+      });
+      return run(() => handler(req, res));
+    };
+  }
+
+  withAudit.log = auditServer.log;
+  withAudit.withContext = auditServer.withContext;
+  withAudit.flush = auditServer.flush;
+  withAudit.close = auditServer.close;
+  return withAudit;
+}
+
+/**
+ * Hapi plugin for audit logging: `await server.register(hapiAuditPlugin(options))`.
+ * The audit server is available as `server.audit`. Hapi's lifecycle cannot
+ * be wrapped, so `log()` does not see the current request; use
+ * `server.audit.track(request.raw.req, data)` instead.
+ * @param {object} options - `createAuditServer` options
+ */
+export function hapiAuditPlugin(options) {
+  return {
+    name: "triostack-audit",
+    register(server) {
+      const auditServer = createAuditServer(options);
+      server.decorate("server", "audit", auditServer);
+
+      server.ext("onRequest", (request, h) => {
+        auditServer.observeRequest(request.raw.req, request.raw.res, {
+          // Resolvers see request.auth.credentials and request.headers
+          identitySource: request,
+          describe: () => ({
+            routePattern: request.route?.path ?? null,
+            parsedBody: request.payload,
+          }),
+          label: "Hapi audit",
+        });
+        return h.continue;
+      });
+
+      server.ext("onPostStop", () => auditServer.close());
+    },
+  };
+}
+
+/**
+ * h3 (Nitro, Nuxt) middleware: `app.use(h3AuditMiddleware(options))`.
+ * The returned handler also exposes `track()`, `log()`, `withContext()`,
+ * `flush()` and `close()`. As with Hapi, `log()` does not see the current
+ * request; use `track(event.node.req, data)` instead.
+ * @param {object} options - `createAuditServer` options
+ */
+export function h3AuditMiddleware(options) {
+  const auditServer = createAuditServer(options);
+
+  const handler = (event) => {
+    auditServer.observeRequest(event.node.req, event.node.res, {
+      describe: () => ({
+        routePattern: event.context.matchedRoute?.path ?? null,
+      }),
+      label: "h3 audit",
+    });
+  };
+  // What h3's defineEventHandler marks handlers with
+  handler.__is_handler__ = true;
+
+  handler.track = auditServer.track;
+  handler.log = auditServer.log;
+  handler.withContext = auditServer.withContext;
+  handler.flush = auditServer.flush;
+  handler.close = auditServer.close;
+  return handler;
+}
+
+/**
+ * Route pattern of the Hono handler that answered: the last matched
+ * route that is not middleware registered with `use()`
+ * @param {object} c - Hono context
+ * @returns {string|null}
+ */
+function honoRoutePattern(c) {
+  const routes = c.req.matchedRoutes ?? [];
+  for (let i = routes.length - 1; i >= 0; i--) {
+    if (routes[i].method !== "ALL") return routes[i].path;
+  }
+  return null;
+}
+
+/**
+ * Hono middleware: `app.use(honoAuditMiddleware(options))`. Works on any
+ * runtime Hono runs on that has `node:async_hooks`; on Node
+ * (@hono/node-server) the client IP comes from the socket, elsewhere set
+ * `clientIp`. The returned middleware also exposes `log()`,
+ * `withContext()`, `flush()` and `close()`.
+ * @param {object} options - `createAuditServer` options, plus:
+ * @param {(request: Request) => string} [options.clientIp] - Client IP resolver
+ */
+export function honoAuditMiddleware(options = {}) {
+  const { clientIp, ...serverOptions } = options;
+  const auditServer = createAuditServer(serverOptions);
+  const requestIdHeader = options.requestIdHeader || "x-request-id";
+
+  const middleware = async (c, next) => {
+    const req = toAuditRequest(c.req.raw, { clientIp });
+    // @hono/node-server exposes the Node request, so trustProxy applies
+    req.socket = c.env?.incoming?.socket;
+
+    // Long-running servers send in the background; Workers-style
+    // runtimes need waitUntil to keep the request alive
+    let waitUntil = () => {};
+    try {
+      waitUntil = c.executionCtx.waitUntil.bind(c.executionCtx);
+    } catch {
+      // No execution context outside Workers-style runtimes
+    }
+
+    await auditServer.observeFetch(
+      req,
+      async () => {
+        await next();
+        return c.res;
+      },
+      {
+        describe: () => ({ routePattern: honoRoutePattern(c) }),
+        waitUntil,
+        label: "Hono audit",
+      }
+    );
+
+    if (options.echoRequestId !== false) {
+      c.res = withResponseHeader(
+        c.res,
+        requestIdHeader,
+        auditServer.requestId(req)
+      );
+    }
+  };
+
+  middleware.log = auditServer.log;
+  middleware.withContext = auditServer.withContext;
+  middleware.flush = auditServer.flush;
+  middleware.close = auditServer.close;
+  return middleware;
+}
@@ -0,0 +1,356 @@
+import { createLruCache } from "./lru.js";
+import { compilePathMatcher, pathOf } from "./match.js";
+import { resolveTransport } from "./transports.js";
+
+/**
+ * A security alert raised by the anomaly detector. Alerts are shaped like
+ * events (`event: "security.alert"`) so they can go to the same backends.
+ *
+ * @typedef {object} SecurityAlert
+ * @property {"security.alert"} event
+ * @property {"brute_force"|"impossible_travel"|"auth_failure_spike"|"new_country"} type
+ * @property {"medium"|"high"} severity
+ * @property {string} timestamp
+ * @property {string} message
+ * @property {string|null} userId
+ * @property {string|null} ip
+ * @property {string|null} requestId - Event that raised the alert
+ * @property {object} details
+ */
+
+const DEFAULT_LOGIN_ROUTES = [
+  "**/login",
+  "**/signin",
+  "**/sign-in",
+  "**/session",
+  "**/sessions",
+  "**/auth/token",
+  "**/oauth/token",
+];
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points in km
+ */
+function distanceKm(a, b) {
+  const rad = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) *
+      Math.cos(rad(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function timeOf(event) {
+  const time = Date.parse(event.timestamp);
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
+/** The account an event is about; failed logins name it in `actor` */
+function subjectOf(event) {
+  const id = event.actor?.id ?? event.userId;
+  return id && id !== "anonymous" ? String(id) : null;
+}
+
+function hasPublicLocation(event) {
+  return (
+    typeof event.latitude === "number" &&
+    typeof event.longitude === "number" &&
+    (event.ipType === undefined || event.ipType === "public")
+  );
+}
+
+function options(value, defaults) {
+  if (!value) return null;
+  return { ...defaults, ...(value === true ? {} : value) };
+}
+
+/**
+ * Watch audit events for brute-force logins, impossible travel, 401/403
+ * spikes and logins from new countries. State is kept in memory, per
+ * process; `maxTrackedKeys` bounds it.
+ *
+ * A login is an `auth.login` event (success when `outcome` is 'success',
+ * failure when 'failure' or 'denied'), or a POST to one of `loginRoutes`
+ * (success on 2xx, failure on 401/403).
+ *
+ * @param {object} [options]
+ * @param {boolean|object} [options.bruteForce] - `{ maxFailures: 5, windowMs: 300000 }`, per user and per IP (default: true)
+ * @param {boolean|object} [options.impossibleTravel] - `{ maxSpeedKmh: 1000, minDistanceKm: 300 }` between consecutive located events of a user (default: true)
+ * @param {boolean|object} [options.authFailureSpike] - `{ windowMs: 60000, minCount: 20, factor: 3 }`: 401/403 responses in a window against the recent average (default: true)
+ * @param {boolean|object} [options.newCountry] - Logins from a country the user has not logged in from (default: true)
+ * @param {Array} [options.loginRoutes] - Globs, regexes or functions for login endpoints
+ * @param {(event: object) => "success"|"failure"|null} [options.classifyLogin] - Custom login classifier
+ * @param {number} [options.maxTrackedKeys] - Users and IPs kept per detector (default: 10000)
+ * @param {function} [options.onAlert] - Called with each alert (default: console.warn)
+ * @param {string|object} [options.transport] - Transport alerts are sent with
+ * @param {function} [options.onError] - Called with alert delivery errors
+ * @returns {{ observe(event: object): SecurityAlert[], flush(): Promise<void>, close(): Promise<void> }}
+ */
+export function createAnomalyDetector({
+  bruteForce = true,
+  impossibleTravel = true,
+  authFailureSpike = true,
+  newCountry = true,
+  loginRoutes = DEFAULT_LOGIN_ROUTES,
+  classifyLogin,
+  maxTrackedKeys = 10000,
+  onAlert = (alert) => console.warn("Audit security alert:", alert.message),
+  transport,
+  onError = (err) => console.error("TriostackAudit Error:", err),
+} = {}) {
+  const bruteForceOptions = options(bruteForce, {
+    maxFailures: 5,
+    windowMs: 5 * 60 * 1000,
+  });
+  const travelOptions = options(impossibleTravel, {
+    maxSpeedKmh: 1000,
+    minDistanceKm: 300,
+  });
+  const spikeOptions = options(authFailureSpike, {
+    windowMs: 60 * 1000,
+    minCount: 20,
+    factor: 3,
+  });
+  const isLoginRoute = compilePathMatcher(loginRoutes);
+  const sink = transport ? resolveTransport(transport) : null;
+
+  const failures = createLruCache({
+    max: maxTrackedKeys,
+    ttlMs: bruteForceOptions?.windowMs,
+  });
+  const locations = createLruCache({ max: maxTrackedKeys });
+  const countries = createLruCache({ max: maxTrackedKeys });
+  const spike = { start: 0, count: 0, baseline: null, alerted: false };
+
+  function loginOutcome(event) {
+    if (classifyLogin) return classifyLogin(event);
+    if (event.event === "auth.login") {
+      if (event.outcome === "success") return "success";
+      if (event.outcome === "failure" || event.outcome === "denied") {
+        return "failure";
+      }
+      return null;
+    }
+    if (
+      String(event.method).toUpperCase() !== "POST" ||
+      !event.route ||
+      !isLoginRoute(pathOf(event.route))
+    ) {
+      return null;
+    }
+    if (event.statusCode >= 200 && event.statusCode < 300) return "success";
+    if (event.statusCode === 401 || event.statusCode === 403) return "failure";
+    return null;
+  }
+
+  function alertFor(event, type, severity, message, details) {
+    return {
+      event: "security.alert",
+      type,
+      severity,
+      timestamp: new Date().toISOString(),
+      message,
+      userId: subjectOf(event),
+      ip: event.ip ?? null,
+      requestId: event.requestId ?? null,
+      details,
+    };
+  }
+
+  function checkBruteForce(event, outcome, time, alerts) {
+    const { maxFailures, windowMs } = bruteForceOptions;
+    const user = subjectOf(event);
+    if (outcome === "success") {
+      if (user) failures.delete(`user:${user}`);
+      return;
+    }
+
+    const keys = [];
+    if (user) keys.push(["user", user]);
+    if (event.ip) keys.push(["ip", event.ip]);
+    for (const [kind, value] of keys) {
+      const key = `${kind}:${value}`;
+      const entry = failures.get(key) ?? { times: [], alertedAt: 0 };
+      entry.times = entry.times.filter((at) => at > time - windowMs);
+      entry.times.push(time);
+      failures.set(key, entry);
+
+      if (
+        entry.times.length >= maxFailures &&
+        time - entry.alertedAt > windowMs
+      ) {
+        entry.alertedAt = time;
+        alerts.push(
+          alertFor(
+            event,
+            "brute_force",
+            "high",
+            `${entry.times.length} failed logins for ${kind} ${value} in ${Math.round(windowMs / 1000)}s`,
+            { [kind]: value, failures: entry.times.length, windowMs }
+          )
+        );
+      }
+    }
+  }
+
+  function checkTravel(event, time, alerts) {
+    // Only where the user is signed in: failed logins name accounts the
+    // client does not control
+    const user =
+      event.userId && event.userId !== "anonymous" ? event.userId : null;
+    if (!user || !hasPublicLocation(event)) return;
+
+    const here = {
+      latitude: event.latitude,
+      longitude: event.longitude,
+      country: event.country ?? null,
+      city: event.city ?? null,
+      ip: event.ip ?? null,
+      time,
+    };
+    const previous = locations.get(user);
+    locations.set(user, here);
+    if (!previous) return;
+
+    const { maxSpeedKmh, minDistanceKm } = travelOptions;
+    const distance = distanceKm(previous, here);
+    if (distance < minDistanceKm) return;
+    const hours = Math.max(time - previous.time, 0) / 3600000;
+    const speed = hours > 0 ? distance / hours : Infinity;
+    if (speed <= maxSpeedKmh) return;
+
+    alerts.push(
+      alertFor(
+        event,
+        "impossible_travel",
+        "high",
+        `${user} moved ${Math.round(distance)} km in ${Math.round(hours * 60)} min`,
+        {
+          from: {
+            country: previous.country,
+            city: previous.city,
+            ip: previous.ip,
+          },
+          to: { country: here.country, city: here.city, ip: here.ip },
+          distanceKm: Math.round(distance),
+          elapsedMs: time - previous.time,
+          speedKmh: Number.isFinite(speed) ? Math.round(speed) : null,
+        }
+      )
+    );
+  }
+
+  function checkSpike(event, time, alerts) {
+    if (event.statusCode !== 401 && event.statusCode !== 403) return;
+    const { windowMs, minCount, factor } = spikeOptions;
+
+    if (!spike.start) spike.start = time;
+    // Close the windows that ended since the last failure
+    const ended = Math.floor((time - spike.start) / windowMs);
+    for (let i = 0; i < Math.min(ended, 60); i++) {
+      const count = i === 0 ? spike.count : 0;
+      spike.baseline =
+        spike.baseline === null ? count : spike.baseline * 0.7 + count * 0.3;
+    }
+    if (ended > 0) {
+      spike.start += ended * windowMs;
+      spike.count = 0;
+      spike.alerted = false;
+    }
+
+    spike.count++;
+    const threshold = Math.max(minCount, factor * (spike.baseline ?? 0));
+    if (spike.count >= threshold && !spike.alerted) {
+      spike.alerted = true;
+      alerts.push(
+        alertFor(
+          event,
+          "auth_failure_spike",
+          "medium",
+          `${spike.count} 401/403 responses in ${Math.round(windowMs / 1000)}s`,
+          {
+            count: spike.count,
+            windowMs,
+            baseline:
+              spike.baseline === null
+                ? null
+                : Math.round(spike.baseline * 100) / 100,
+          }
+        )
+      );
+    }
+  }
+
+  function checkNewCountry(event, alerts) {
+    const user = subjectOf(event);
+    if (!user || !event.country || event.country === "Unknown") return;
+    if (event.ipType && event.ipType !== "public") return;
+
+    const seen = countries.get(user);
+    if (!seen) {
+      countries.set(user, new Set([event.country]));
+      return;
+    }
+    if (seen.has(event.country)) return;
+    seen.add(event.country);
+    alerts.push(
+      alertFor(
+        event,
+        "new_country",
+        "medium",
+        `${user} logged in from ${event.country} for the first time`,
+        { country: event.country, knownCountries: [...seen].slice(0, -1) }
+      )
+    );
+  }
+
+  function dispatch(alert) {
+    try {
+      onAlert?.(alert);
+    } catch (err) {
+      console.warn("Audit alert handler failed:", err.message);
+      onError(err);
+    }
+    if (sink) {
+      Promise.resolve()
+        .then(() => sink.send([alert]))
+        .catch((err) => {
+          console.warn("Audit alert delivery failed:", err.message);
+          onError(err);
+        });
+    }
+  }
+
+  /**
+   * Check an event and raise any alerts it triggers
+   * @param {object} event
+   * @returns {SecurityAlert[]}
+   */
+  function observe(event) {
+    if (!event || event.event === "security.alert") return [];
+    const alerts = [];
+    const time = timeOf(event);
+
+    const outcome = loginOutcome(event);
+    if (bruteForceOptions && outcome) {
+      checkBruteForce(event, outcome, time, alerts);
+    }
+    if (travelOptions) checkTravel(event, time, alerts);
+    if (spikeOptions) checkSpike(event, time, alerts);
+    if (newCountry && outcome === "success") checkNewCountry(event, alerts);
+
+    alerts.forEach(dispatch);
+    return alerts;
+  }
+
+  return {
+    observe,
+    flush: async () => sink?.flush?.(),
+    close: async () => sink?.close?.(),
+  };
+}
@@ -0,0 +1,295 @@
+import { compilePathMatcher, pathOf } from "./match.js";
+
+export const DEFAULT_BODY_CONTENT_TYPES = [
+  "application/json",
+  "application/x-www-form-urlencoded",
+];
+
+function headerValue(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function mediaType(contentType) {
+  return String(contentType ?? "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+}
+
+function isJsonType(type) {
+  return type === "application/json" || type.endsWith("+json");
+}
+
+/**
+ * Collect up to `limit` bytes of a stream's chunks
+ * @param {number} limit
+ */
+function createCollector(limit) {
+  const chunks = [];
+  let kept = 0;
+  let size = 0;
+
+  return {
+    add(chunk, encoding) {
+      if (chunk == null || typeof chunk === "function") return;
+      const buffer = Buffer.isBuffer(chunk)
+        ? chunk
+        : typeof chunk === "string"
+          ? Buffer.from(chunk, typeof encoding === "string" ? encoding : "utf8")
+          : Buffer.from(chunk.buffer ?? chunk);
+      size += buffer.length;
+      if (kept < limit) {
+        const slice = buffer.subarray(0, limit - kept);
+        chunks.push(slice);
+        kept += slice.length;
+      }
+    },
+    result() {
+      return { buffer: Buffer.concat(chunks), size };
+    },
+  };
+}
+
+/**
+ * Watch a request's `data` events without consuming the stream or
+ * changing its flowing mode, so body parsers still see every byte.
+ * @param {import("http").IncomingMessage} req
+ * @param {number} limit
+ */
+function tapRequest(req, limit) {
+  const collector = createCollector(limit);
+  const emit = req.emit;
+  req.emit = function (event, ...args) {
+    if (event === "data") collector.add(args[0]);
+    return emit.call(this, event, ...args);
+  };
+  return collector;
+}
+
+/**
+ * Copy what is written to a response, up to `limit` bytes. Also keeps the
+ * headers passed straight to `writeHead` (Fastify), which `getHeader` misses.
+ * @param {import("http").ServerResponse} res
+ * @param {number} limit
+ */
+function tapResponse(res, limit) {
+  const collector = createCollector(limit);
+  const headers = {};
+  const { writeHead, write, end } = res;
+  res.writeHead = function (...args) {
+    const passed = args.find(
+      (arg, i) => i > 0 && arg && typeof arg === "object"
+    );
+    if (passed && !Array.isArray(passed)) {
+      for (const [name, value] of Object.entries(passed)) {
+        headers[name.toLowerCase()] = value;
+      }
+    }
+    return writeHead.apply(this, args);
+  };
+  res.write = function (...args) {
+    collector.add(args[0], args[1]);
+    return write.apply(this, args);
+  };
+  res.end = function (...args) {
+    collector.add(args[0], args[1]);
+    return end.apply(this, args);
+  };
+  return {
+    ...collector,
+    header: (name) => res.getHeader(name) ?? headers[name],
+  };
+}
+
+/**
+ * Describe a captured body for the event
+ * @param {object} source
+ * @param {*} [source.parsed] - Body already parsed by a body parser
+ * @param {{ buffer: Buffer, size: number }} [source.raw] - Raw bytes seen on the wire
+ * @param {string} source.contentType
+ * @param {number} maxBytes
+ * @returns {{ contentType: string, size: number, truncated: boolean, data: * }}
+ */
+function describeBody({ parsed, raw, contentType }, maxBytes) {
+  const type = mediaType(contentType);
+
+  if (parsed !== undefined && !Buffer.isBuffer(parsed)) {
+    const text = typeof parsed === "string" ? parsed : JSON.stringify(parsed);
+    const size = Buffer.byteLength(text ?? "");
+    if (size <= maxBytes) {
+      return { contentType: type, size, truncated: false, data: parsed };
+    }
+    return {
+      contentType: type,
+      size,
+      truncated: true,
+      data: Buffer.from(text).subarray(0, maxBytes).toString("utf8"),
+    };
+  }
+
+  if (!raw || !raw.size) return null;
+
+  const text = raw.buffer.toString("utf8");
+  const truncated = raw.size > raw.buffer.length;
+  let data = text;
+  if (!truncated && isJsonType(type)) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // keep the text
+    }
+  } else if (!truncated && type === "application/x-www-form-urlencoded") {
+    data = Object.fromEntries(new URLSearchParams(text));
+  }
+  return { contentType: type, size: raw.size, truncated, data };
+}
+
+/**
+ * Diff two states as a list of changes. With `partial` (PATCH semantics)
+ * only keys present in `after` are compared, so omitted keys are not
+ * reported as removed.
+ * @param {*} before
+ * @param {*} after
+ * @param {object} [options]
+ * @param {boolean} [options.partial]
+ * @returns {Array<{ path: string, op: "add"|"remove"|"replace", from?: *, to?: * }>}
+ */
+export function diffStates(before, after, { partial = false } = {}) {
+  const changes = [];
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  function walk(a, b, path) {
+    if (isObject(a) && isObject(b)) {
+      const keys = new Set([
+        ...(partial ? [] : Object.keys(a)),
+        ...Object.keys(b),
+      ]);
+      for (const key of keys) {
+        walk(a[key], b[key], path ? `${path}.${key}` : key);
+      }
+      return;
+    }
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+
+    if (a === undefined) changes.push({ path, op: "add", to: b });
+    else if (b === undefined) changes.push({ path, op: "remove", from: a });
+    else changes.push({ path, op: "replace", from: a, to: b });
+  }
+
+  walk(before, after, "");
+  return changes;
+}
+
+/**
+ * Opt-in request/response body capture.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.methods] - Methods to capture (default: POST, PUT, PATCH, DELETE)
+ * @param {string|RegExp|Array} [options.routes] - Paths to capture, globs or regexes (default: all)
+ * @param {boolean} [options.request] - Capture request bodies (default: true)
+ * @param {boolean} [options.response] - Capture response bodies (default: false)
+ * @param {number} [options.maxBytes] - Bytes kept per body before truncating (default: 8192)
+ * @param {string[]} [options.contentTypes] - Media types captured (default: JSON and forms)
+ * @param {Array<object>} [options.rules] - Per-route overrides: `{ route, methods, request, response, maxBytes }`;
+ *   the first matching rule wins, `false` for request/response turns capture off
+ */
+export function createBodyCapture({
+  methods = ["POST", "PUT", "PATCH", "DELETE"],
+  routes,
+  request = true,
+  response = false,
+  maxBytes = 8192,
+  contentTypes = DEFAULT_BODY_CONTENT_TYPES,
+  rules = [],
+} = {}) {
+  const defaults = { request, response, maxBytes };
+  const matchesRoute = routes ? compilePathMatcher(routes) : () => true;
+  const compiledRules = rules.map(({ route, methods: ruleMethods, ...rest }) => ({
+    matches: route ? compilePathMatcher(route) : () => true,
+    methods: ruleMethods?.map((m) => m.toUpperCase()),
+    settings: rest,
+  }));
+  const allowedTypes = new Set(contentTypes.map((t) => t.toLowerCase()));
+  const allowed = (contentType) => {
+    const type = mediaType(contentType);
+    return (
+      allowedTypes.has(type) ||
+      (allowedTypes.has("application/json") && type.endsWith("+json"))
+    );
+  };
+
+  function plan(method, url) {
+    const upper = String(method).toUpperCase();
+    const path = pathOf(url);
+
+    const rule = compiledRules.find(
+      (r) => r.matches(path) && (!r.methods || r.methods.includes(upper))
+    );
+    if (rule) return { ...defaults, ...rule.settings };
+
+    if (methods.includes(upper) && matchesRoute(path)) return defaults;
+    return null;
+  }
+
+  /**
+   * Start capturing for a request; call before the body is read
+   * @param {import("http").IncomingMessage} req
+   * @param {import("http").ServerResponse} res
+   * @returns {{ finish(parsedBody?: *): { requestBody?: object, responseBody?: object } }|null}
+   */
+  function start(req, res) {
+    const settings = plan(req.method, req.originalUrl || req.url);
+    if (!settings) return null;
+
+    const requestType = headerValue(req.headers, "content-type");
+    const requestTap =
+      settings.request && allowed(requestType)
+        ? tapRequest(req, settings.maxBytes)
+        : null;
+    const responseTap = settings.response
+      ? tapResponse(res, settings.maxBytes)
+      : null;
+
+    return {
+      finish(parsedBody) {
+        const result = {};
+
+        if (requestTap) {
+          const raw = requestTap.result();
+          // Parsers leave `{}` behind for bodies they skipped; trust the wire then
+          const skipped =
+            parsedBody !== null &&
+            typeof parsedBody === "object" &&
+            !Object.keys(parsedBody).length &&
+            raw.size > 0;
+          const body = describeBody(
+            {
+              parsed: skipped ? undefined : parsedBody,
+              raw,
+              contentType: requestType,
+            },
+            settings.maxBytes
+          );
+          if (body) result.requestBody = body;
+        }
+
+        if (responseTap) {
+          const responseType = responseTap.header("content-type");
+          const encoded = responseTap.header("content-encoding");
+          if (allowed(responseType) && (!encoded || encoded === "identity")) {
+            const body = describeBody(
+              { raw: responseTap.result(), contentType: responseType },
+              settings.maxBytes
+            );
+            if (body) result.responseBody = body;
+          }
+        }
+        return result;
+      },
+    };
+  }
+
+  return { plan, start };
+}
@@ -0,0 +1,291 @@
+import http from "http";
+import { createHash, timingSafeEqual } from "crypto";
+import { createNdjsonStore, createSqliteStore } from "./stores.js";
+import { signBody } from "./transports.js";
+
+const MAX_LIMIT = 1000;
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/** Compare secrets without leaking their length or content through timing */
+function safeEqual(a, b) {
+  const digest = (value) => createHash("sha256").update(String(value)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Read a request body up to `maxBytes`
+ * @returns {Promise<string>}
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      // Keep draining so the 413 response can still be sent
+      if (size > maxBytes) {
+        reject(httpError(413, `Body exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function resolveStore(store, { path, rotation }) {
+  if (store && typeof store.append === "function") return store;
+  if (store === "sqlite") {
+    return createSqliteStore({ path: path ?? "./audit-events.db" });
+  }
+  if (store === undefined || store === "ndjson") {
+    return createNdjsonStore({ dir: path ?? "./audit-events", ...rotation });
+  }
+  throw new Error(`Unknown collector store: ${store}`);
+}
+
+/**
+ * Parse and validate the query string of `GET /events`
+ * @param {URLSearchParams} params
+ * @returns {import("./stores.js").EventQuery}
+ */
+function parseQuery(params) {
+  const query = {
+    limit: 100,
+    offset: 0,
+    order: params.get("order") === "asc" ? "asc" : "desc",
+  };
+
+  for (const name of ["userId", "route"]) {
+    if (params.get(name)) query[name] = params.get(name);
+  }
+  for (const name of ["from", "to"]) {
+    const value = params.get(name);
+    if (!value) continue;
+    const time = new Date(/^\d+$/.test(value) ? Number(value) : value);
+    if (Number.isNaN(time.getTime())) {
+      throw httpError(400, `Invalid ${name}: ${value}`);
+    }
+    query[name] = time.toISOString();
+  }
+  if (params.get("status")) {
+    const status = params.get("status").toLowerCase();
+    if (!/^([1-5]xx|[1-5]\d\d)$/.test(status)) {
+      throw httpError(400, `Invalid status: ${status}`);
+    }
+    query.status = status;
+  }
+  if (params.get("country")) {
+    query.country = params.get("country").toUpperCase();
+  }
+  for (const name of ["limit", "offset"]) {
+    if (!params.has(name)) continue;
+    const value = Number(params.get(name));
+    if (!Number.isInteger(value) || value < (name === "limit" ? 1 : 0)) {
+      throw httpError(400, `Invalid ${name}: ${params.get(name)}`);
+    }
+    query[name] = name === "limit" ? Math.min(value, MAX_LIMIT) : value;
+  }
+  return query;
+}
+
+/**
+ * Reference collector: receives events from `createAuditServer`
+ * (single or batched), stores them and answers queries.
+ *
+ * - `POST /events` - one event or an array of events
+ * - `GET /events` - filters: `userId`, `route` (path, or prefix ending in `*`), `from`, `to`,
+ *   `status` (404 or 4xx), `country`; page with `limit` (max 1000), `offset` and `order`
+ * - `GET /health`
+ *
+ * Senders authenticate with an API key (`x-api-key` or `Authorization: Bearer`)
+ * or an HMAC signature (`x-audit-signature`, see `signBody`); queries need an
+ * API key. Without `apiKeys` or `hmacSecrets` the collector refuses to
+ * start unless `allowAnonymous` is set.
+ *
+ * @param {object} [options]
+ * @param {"ndjson"|"sqlite"|import("./stores.js").CollectorStore} [options.store] - Storage (default: 'ndjson')
+ * @param {string} [options.path] - NDJSON directory or SQLite file (default: './audit-events' or './audit-events.db')
+ * @param {object} [options.rotation] - NDJSON rotation: `maxBytes` (default: 64MB), `maxFiles` (default: 30)
+ * @param {string|string[]} [options.apiKeys] - Keys accepted for sending and querying
+ * @param {string|Record<string, string>} [options.hmacSecrets] - Signing secrets by `x-audit-key-id`, or a single secret
+ * @param {boolean} [options.allowAnonymous] - Accept and serve events without authentication (default: false)
+ * @param {number} [options.signatureTolerance] - Max age of a signature in seconds (default: 300)
+ * @param {number} [options.maxBodyBytes] - Largest accepted request body (default: 1MB)
+ * @param {number} [options.maxBatchSize] - Most events per request (default: 1000)
+ * @param {function} [options.onError] - Called with storage errors
+ * @returns {{ handler(req, res): Promise<void>, listen(port?: number, host?: string): Promise<import("http").Server>, close(): Promise<void>, store: object }}
+ */
+export function createAuditCollector({
+  store,
+  path,
+  rotation,
+  apiKeys = [],
+  hmacSecrets,
+  allowAnonymous = false,
+  signatureTolerance = 300,
+  maxBodyBytes = 1024 * 1024,
+  maxBatchSize = 1000,
+  onError = (err) => console.error("Audit collector error:", err),
+} = {}) {
+  const secrets =
+    typeof hmacSecrets === "string"
+      ? { default: hmacSecrets }
+      : { ...hmacSecrets };
+  const keys = [].concat(apiKeys ?? []);
+  if (keys.some((key) => typeof key !== "string" || !key)) {
+    throw new Error("apiKeys must be a non-empty string or an array of them");
+  }
+  const secured = keys.length > 0 || Object.keys(secrets).length > 0;
+  if (!secured && !allowAnonymous) {
+    throw new Error(
+      "The audit collector needs apiKeys or hmacSecrets; set allowAnonymous to run it without authentication"
+    );
+  }
+  const events = resolveStore(store, { path, rotation });
+  let server = null;
+
+  function apiKeyOf(req) {
+    const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i);
+    return req.headers["x-api-key"] ?? bearer?.[1];
+  }
+
+  function hasApiKey(req) {
+    const key = apiKeyOf(req);
+    return !!key && keys.some((candidate) => safeEqual(candidate, key));
+  }
+
+  function hasValidSignature(req, body) {
+    const header = req.headers["x-audit-signature"];
+    const parts = header?.match(/^t=(\d+),v1=([\da-f]{64})$/);
+    if (!parts) return false;
+
+    const timestamp = Number(parts[1]);
+    if (Math.abs(Date.now() / 1000 - timestamp) > signatureTolerance) {
+      return false;
+    }
+
+    const keyId = req.headers["x-audit-key-id"] ?? "default";
+    const secret = Object.prototype.hasOwnProperty.call(secrets, keyId)
+      ? secrets[keyId]
+      : null;
+    return !!secret && safeEqual(signBody(secret, body, timestamp), header);
+  }
+
+  async function ingest(req, res) {
+    const body = await readBody(req, maxBodyBytes);
+    if (secured && !hasApiKey(req) && !hasValidSignature(req, body)) {
+      throw httpError(401, "Missing or invalid API key or signature");
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      throw httpError(400, "Body is not valid JSON");
+    }
+
+    const batch = Array.isArray(payload) ? payload : [payload];
+    if (batch.length > maxBatchSize) {
+      throw httpError(413, `Batch exceeds ${maxBatchSize} events`);
+    }
+    const invalid = batch.findIndex(
+      (event) => !event || typeof event !== "object" || Array.isArray(event)
+    );
+    if (invalid !== -1) {
+      throw httpError(400, `Event ${invalid} is not an object`);
+    }
+
+    const receivedAt = new Date().toISOString();
+    try {
+      await events.append(batch.map((event) => ({ receivedAt, event })));
+    } catch (err) {
+      onError(err);
+      throw httpError(503, "Events could not be stored");
+    }
+    sendJson(res, 202, { accepted: batch.length });
+  }
+
+  async function search(req, res, params) {
+    if (secured && !hasApiKey(req)) {
+      throw httpError(401, "Missing or invalid API key");
+    }
+    const query = parseQuery(params);
+    // One extra row tells whether there is a next page
+    const found = await events.query({ ...query, limit: query.limit + 1 });
+    const hasMore = found.length > query.limit;
+    const page = found.slice(0, query.limit);
+    sendJson(res, 200, {
+      events: page.map((record) => record.event),
+      receivedAt: page.map((record) => record.receivedAt),
+      limit: query.limit,
+      offset: query.offset,
+      nextOffset: hasMore ? query.offset + query.limit : null,
+    });
+  }
+
+  /**
+   * Request listener, usable with `http.createServer` or mounted in an app
+   * @param {import("http").IncomingMessage} req
+   * @param {import("http").ServerResponse} res
+   */
+  async function handler(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (url.pathname === "/events" && req.method === "POST") {
+        await ingest(req, res);
+      } else if (url.pathname === "/events" && req.method === "GET") {
+        await search(req, res, url.searchParams);
+      } else if (url.pathname === "/health" && req.method === "GET") {
+        sendJson(res, 200, { status: "ok", store: events.name ?? null });
+      } else if (url.pathname === "/events" || url.pathname === "/health") {
+        throw httpError(405, "Method not allowed");
+      } else {
+        throw httpError(404, "Not found");
+      }
+    } catch (err) {
+      if (!err.statusCode) onError(err);
+      if (!res.headersSent) {
+        sendJson(res, err.statusCode ?? 500, {
+          error: err.statusCode ? err.message : "Internal error",
+        });
+      }
+    }
+  }
+
+  /**
+   * Start an HTTP server
+   * @param {number} [port] - Default: 3002
+   * @param {string} [host]
+   * @returns {Promise<import("http").Server>}
+   */
+  function listen(port = 3002, host) {
+    server = http.createServer(handler);
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+
+  /** Stop the server (if started) and close the store */
+  async function close() {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    await events.close?.();
+  }
+
+  return { handler, listen, close, store: events };
+}
@@ -0,0 +1,50 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Audit context that follows async work: the request being handled
+ * and/or explicit fields (actor, job id, ...) merged into every event.
+ *
+ * @typedef {object} AuditContext
+ * @property {object|null} req - Request the work belongs to
+ * @property {object} [identitySource] - What user resolvers receive (e.g. the Koa ctx)
+ * @property {object} fields - Event fields set with `withContext`
+ */
+
+/**
+ * Create an AsyncLocalStorage-backed context store
+ * @returns {{ current(): AuditContext|undefined, runInRequest(req: object, fn: Function, identitySource?: object): *, withContext(fields: object, fn: Function): * }}
+ */
+export function createContextStore() {
+  const storage = new AsyncLocalStorage();
+
+  return {
+    current: () => storage.getStore(),
+
+    /**
+     * Run `fn` with `req` as the current request
+     */
+    runInRequest(req, fn, identitySource = req) {
+      const parent = storage.getStore();
+      return storage.run(
+        { req, identitySource, fields: { ...parent?.fields } },
+        fn
+      );
+    },
+
+    /**
+     * Run `fn` with extra event fields; nested calls add to the outer
+     * fields and keep the outer request
+     */
+    withContext(fields, fn) {
+      const parent = storage.getStore();
+      return storage.run(
+        {
+          req: parent?.req ?? null,
+          identitySource: parent?.identitySource,
+          fields: { ...parent?.fields, ...fields },
+        },
+        fn
+      );
+    },
+  };
+}
@@ -0,0 +1,756 @@
+import {
+  createHttpTransport,
+  createMultiTransport,
+  resolveTransport,
+} from "./transports.js";
+import { createDeliveryQueue, registerShutdownHandlers } from "./queue.js";
+import { withRetry } from "./retry.js";
+import { createSpool, withSpool } from "./spool.js";
+import { createEventChain } from "./integrity.js";
+import { createRedactor } from "./redact.js";
+import { createHookPipeline } from "./hooks.js";
+import { createAnomalyDetector } from "./anomaly.js";
+import { createAuditMetrics, createMetricsHandler } from "./metrics.js";
+import { compileTrust, resolveClientIp } from "./ip.js";
+import { createGeoLookup } from "./geo.js";
+import { createUserAgentParser } from "./useragent.js";
+import { createSessionResolver, resolveRequestId } from "./correlation.js";
+import { createOtelBridge } from "./otel.js";
+import {
+  ANONYMOUS,
+  createIdentityResolver,
+  headerUserResolver,
+} from "./identity.js";
+import {
+  elapsedMs,
+  instrumentResponse,
+  requestSizeOf,
+} from "./timing.js";
+import { createBodyCapture, diffStates } from "./body.js";
+import { createAuditPolicy, policyInput } from "./policy.js";
+import { createEventRegistry } from "./events.js";
+import { createContextStore } from "./context.js";
+import { responseSizeOf, statusFromError } from "./fetch.js";
+
+/**
+ * Build enriched audit event
+ * @param {object} data - Extra data (userId, route, duration)
+ * @param {string} ip
+ * @param {object|null} geo - Result of the geo lookup, null when disabled
+ * @param {object|null} client - Parsed User-Agent, null when disabled
+ * @returns {object}
+ */
+function buildAuditEvent(data, ip, geo, client) {
+  return {
+    requestId: null,
+    sessionId: null,
+    timestamp: new Date().toISOString(),
+    ip,
+    city: geo ? geo.city : null,
+    region: geo ? geo.region : null,
+    country: geo ? geo.country : null,
+    latitude: geo ? geo.latitude : null,
+    longitude: geo ? geo.longitude : null,
+    ...(geo && {
+      ipType: geo.ipType,
+      ...(geo.asn !== undefined && { asn: geo.asn }),
+      ...(geo.isp !== undefined && { isp: geo.isp }),
+    }),
+    userAgent: data.userAgent || "Unknown",
+    ...(client && {
+      browser: client.browser,
+      os: client.os,
+      device: client.device,
+      isBot: client.isBot,
+      bot: client.bot,
+    }),
+    ...data,
+  };
+}
+
+/**
+ * Route pattern matched by Express, including the router mount path
+ * @param {object} req
+ * @returns {string|null}
+ */
+export function expressRoutePattern(req) {
+  if (!req.route) return null;
+  const path = [].concat(req.route.path).map(String).join(",");
+  return (req.baseUrl || "") + path;
+}
+
+/**
+ * Factory for backend audit server
+ * Provides middleware for automatic logging
+ *
+ * @param {object} options
+ * @param {string} [options.dbUrl] - Where to persist audit logs over HTTP
+ * @param {string|object|Array} [options.transport] - Transport(s) to deliver events with
+ * @param {string} options.userIdHeader - Header name for user ID when no resolveUser is set (default: 'x-user-id')
+ * @param {function|function[]} [options.resolveUser] - Resolver(s) returning { userId, tenantId, roles, authMethod }
+ * @param {string} [options.requestIdHeader] - Header carrying the request id (default: 'x-request-id')
+ * @param {boolean} [options.echoRequestId] - Send the request id back in the response (default: true)
+ * @param {function|object} [options.session] - Session resolver: function, { cookie } or { jwtClaim }
+ * @param {boolean} [options.hashSessionId] - Store a hash of the session value (default: true)
+ * @param {boolean} options.enableGeo - Enable geolocation (default: true)
+ * @param {function|object|Array} [options.geoResolver] - Custom geo resolver(s) or mmdb reader(s)
+ * @param {number} [options.geoCacheSize] - IPs kept in the geo LRU cache (default: 10000)
+ * @param {boolean|object} [options.parseUserAgent] - Add browser, OS, device and bot fields (default: true)
+ * @param {number} [options.parseUserAgent.cacheSize] - User-Agents kept in the LRU cache (default: 1000)
+ * @param {boolean} [options.parseUserAgent.clientHints] - Prefer `sec-ch-ua*` headers when sent (default: true)
+ * @param {boolean|number|string|string[]|function} [options.trustProxy] - Proxies trusted to report the client IP (default: false)
+ * @param {string[]} [options.ipHeaders] - CDN headers holding the client IP, read from trusted proxies only (default: none)
+ * @param {boolean|object} [options.batch] - Buffer events and send them in batches
+ * @param {number} [options.batch.maxBatchSize] - Max events per batch (default: 100)
+ * @param {number} [options.batch.maxBatchBytes] - Max serialized bytes per batch (default: 1MB)
+ * @param {number} [options.batch.maxLingerMs] - Max time an event is buffered (default: 1000)
+ * @param {number} [options.batch.maxQueueSize] - Max buffered events before dropping (default: 10000)
+ * @param {boolean} [options.batch.handleSignals] - Drain on SIGTERM/beforeExit (default: true)
+ * @param {boolean|object} [options.retry] - Retry failed sends with exponential backoff
+ * @param {number} [options.retry.retries] - Retries after the first attempt (default: 3)
+ * @param {number} [options.retry.minDelayMs] - Delay before the first retry (default: 200)
+ * @param {number} [options.retry.maxDelayMs] - Upper bound for a single delay (default: 10000)
+ * @param {string|object} [options.spool] - Directory (or spool options) for undeliverable events
+ * @param {function|Array} [options.beforeSend] - Hooks that enrich, transform or drop events, run in order
+ * @param {number} [options.beforeSendTimeout] - Time limit per hook in ms, 0 for none (default: 1000)
+ * @param {boolean|object} [options.redact] - Mask sensitive data before events leave the process
+ * @param {boolean|object} [options.captureBodies] - Record request/response bodies (see README)
+ * @param {object} [options.policy] - Include/exclude matchers and sampling for recorded requests
+ * @param {Array} [options.policy.include] - Only record requests matching one of these
+ * @param {Array} [options.policy.exclude] - Never record requests matching one of these
+ * @param {number} [options.policy.sampleRate] - Fraction of requests kept (default: 1)
+ * @param {"requestId"|"userId"|function} [options.policy.sampleBy] - Deterministic sampling key (default: 'requestId')
+ * @param {object} [options.events] - Event type registry, used by `trackEvent()`
+ * @param {Record<string, object>} [options.events.schemas] - JSON Schemas by event name
+ * @param {"reject"|"warn"|"tag"} [options.events.onInvalid] - Behaviour for invalid events (default: 'reject')
+ * @param {boolean} [options.events.validateTrack] - Also validate `track()` data with a registered `event` (default: true)
+ * @param {boolean|object} [options.otel] - Trace context capture and OTel export (default: headers and active context)
+ * @param {"log"|"span"|Array} [options.otel.emit] - Also emit events as OTel log records and/or span events
+ * @param {boolean|object} [options.anomalies] - Raise security alerts from the event stream (see README)
+ * @param {object} [options.integrity] - Hash-chain and sign every event
+ * @param {string|Buffer} [options.integrity.secret] - HMAC-SHA256 signing key
+ * @param {string|Buffer|object} [options.integrity.privateKey] - Ed25519 signing key
+ * @param {function} options.onError - Error handler function
+ * @returns {{ expressMiddleware(): Function, track(req, data): Promise<object|null>, trackEvent(name, payload, req?): Promise<object|null>, log(nameOrData, payload?): Promise<object|null>, withContext(fields, fn): *, currentRequest(): object|null, registerEvent(name, schema): void, requestId(req): string, identify(req): Promise<object>, capturedBodies(req, parsedBody): object, observeRequest(req, res, hooks?): object, observeFetch(req, fn, hooks?): Promise<*>, getStats(): object, metricsHandler(options?): Function, flush(): Promise<void>, close(): Promise<void> }}
+ */
+export function createAuditServer({
+  dbUrl,
+  transport,
+  userIdHeader = "x-user-id",
+  resolveUser,
+  requestIdHeader = "x-request-id",
+  echoRequestId = true,
+  session,
+  hashSessionId = true,
+  enableGeo = true,
+  geoResolver,
+  geoCacheSize,
+  parseUserAgent = true,
+  trustProxy = false,
+  ipHeaders,
+  batch,
+  retry,
+  spool,
+  beforeSend,
+  beforeSendTimeout,
+  redact,
+  captureBodies,
+  policy,
+  events,
+  otel = {},
+  anomalies,
+  integrity,
+  onError = (err) => console.error("TriostackAudit Error:", err),
+}) {
+  const transports = [];
+  if (dbUrl) {
+    transports.push(createHttpTransport({ url: dbUrl, batch: !!batch }));
+  }
+  for (const spec of [].concat(transport ?? [])) {
+    transports.push(resolveTransport(spec));
+  }
+
+  if (!transports.length) {
+    throw new Error("dbUrl or transport is required for audit server");
+  }
+
+  let sink =
+    transports.length === 1 ? transports[0] : createMultiTransport(transports);
+  const metrics = createAuditMetrics();
+
+  if (retry) {
+    const retryOptions = retry === true ? {} : retry;
+    sink = withRetry(sink, {
+      ...retryOptions,
+      onRetry: (err, attempt, delay) => {
+        metrics.count("retried");
+        retryOptions.onRetry?.(err, attempt, delay);
+      },
+    });
+  }
+  if (spool) {
+    const { replayIntervalMs, ...spoolOptions } =
+      typeof spool === "string" ? { dir: spool } : spool;
+    const store = createSpool({
+      ...spoolOptions,
+      onDrop: (count, reason) => {
+        metrics.count("dropped", count);
+        onError(new Error(`Audit spool dropped ${count} event(s): ${reason}`));
+      },
+    });
+    sink = withSpool(sink, store, {
+      replayIntervalMs,
+      onError,
+      // Replays bypass the instrumented sink below
+      onReplayed: (count) => metrics.count("sent", count),
+    });
+  }
+  sink = metrics.instrument(sink);
+
+  const trust = compileTrust(trustProxy);
+  const identify = createIdentityResolver(
+    resolveUser ? [].concat(resolveUser) : [headerUserResolver(userIdHeader)]
+  );
+  const resolveSession = session
+    ? createSessionResolver(session, { hash: hashSessionId })
+    : null;
+  const geoLookup = enableGeo
+    ? createGeoLookup({ resolver: geoResolver, cacheSize: geoCacheSize })
+    : null;
+  const parseClient = parseUserAgent
+    ? createUserAgentParser(parseUserAgent === true ? {} : parseUserAgent)
+    : null;
+  const runHooks = beforeSend
+    ? createHookPipeline(beforeSend, { timeoutMs: beforeSendTimeout, onError })
+    : null;
+  const redactEvent = redact
+    ? createRedactor(redact === true ? {} : redact)
+    : null;
+  const bodyCapture = captureBodies
+    ? createBodyCapture(captureBodies === true ? {} : captureBodies)
+    : null;
+  const decide = policy ? createAuditPolicy(policy) : null;
+  const { validateTrack = true, ...registryOptions } = events || {};
+  const registry = createEventRegistry(registryOptions);
+  const context = createContextStore();
+  const otelBridge = otel ? createOtelBridge(otel === true ? {} : otel) : null;
+  const chain = integrity ? createEventChain(integrity) : null;
+  const detector = anomalies
+    ? createAnomalyDetector({
+        onError,
+        ...(anomalies === true ? {} : anomalies),
+      })
+    : null;
+
+  let queue = null;
+  let removeShutdownHandlers = () => {};
+  if (batch) {
+    const { handleSignals = true, ...queueOptions } =
+      batch === true ? {} : batch;
+    queue = createDeliveryQueue({
+      ...queueOptions,
+      transport: sink,
+      onError: (err) => onError(err),
+    });
+    if (handleSignals) {
+      removeShutdownHandlers = registerShutdownHandlers(queue);
+    }
+  }
+
+  async function deliver(auditEvent) {
+    metrics.count("emitted");
+    if (queue) {
+      if (!queue.push(auditEvent)) metrics.count("dropped");
+      return;
+    }
+
+    try {
+      await sink.send([auditEvent]);
+    } catch (err) {
+      console.warn("Audit save error:", err.message);
+      onError(err);
+    }
+  }
+
+  /** Send any buffered events and wait for them to be delivered */
+  async function flush() {
+    await detector?.flush();
+    if (queue) {
+      return queue.flush();
+    }
+    await sink.flush?.();
+  }
+
+  /** Flush and release the transport; call on shutdown */
+  async function close() {
+    removeShutdownHandlers();
+    await detector?.close();
+    if (queue) {
+      return queue.close();
+    }
+    await sink.close?.();
+  }
+
+  /**
+   * Delivery counters, queue depth and send latency/size histograms
+   * since the server was created
+   * @returns {object}
+   */
+  function getStats() {
+    return metrics.snapshot({ queueDepth: queue ? queue.size : 0 });
+  }
+
+  /**
+   * Handler serving `getStats()` in the Prometheus text format, for
+   * Express/node:http `(req, res)`, Fastify `(request, reply)` or Koa `(ctx)`
+   * @param {object} [options]
+   * @param {string} [options.prefix] - Metric name prefix (default: 'triostack_audit_')
+   */
+  function metricsHandler(options) {
+    return createMetricsHandler(getStats, options);
+  }
+
+  /**
+   * Correlation id of a request, resolved once and kept on the request
+   * @param {object} req
+   * @returns {string}
+   */
+  function requestId(req) {
+    if (!req.auditRequestId) {
+      req.auditRequestId = resolveRequestId(req, requestIdHeader);
+    }
+    return req.auditRequestId;
+  }
+
+  /**
+   * Capture per-request context at the start of a request, before the
+   * handler runs. Used by the framework adapters.
+   * @param {object} req
+   * @param {import("http").ServerResponse} [res] - Needed for body capture
+   * @returns {{ requestId: string }}
+   */
+  function beginRequest(req, res) {
+    if (otelBridge && req.auditTraceContext === undefined) {
+      req.auditTraceContext = otelBridge.capture(req);
+    }
+    if (bodyCapture && res && req.auditBodyCapture === undefined) {
+      // Fastify wraps the Node request; the body streams through `raw`
+      req.auditBodyCapture = bodyCapture.start(req.raw ?? req, res);
+    }
+    return { requestId: requestId(req) };
+  }
+
+  /**
+   * Bodies captured for a request started with `beginRequest(req, res)`
+   * @param {object} req
+   * @param {*} [parsedBody] - Body from the framework's parser, preferred over raw bytes
+   * @returns {{ requestBody?: object, responseBody?: object }}
+   */
+  function capturedBodies(req, parsedBody) {
+    try {
+      return req.auditBodyCapture?.finish(parsedBody) ?? {};
+    } catch (err) {
+      console.warn("Audit body capture failed:", err.message);
+      return {};
+    }
+  }
+
+  /**
+   * Build, seal and deliver one event. `req` is null for events that do
+   * not belong to a request; their IP, user and ids come from `data`.
+   */
+  async function record(
+    req,
+    data,
+    { validation, identitySource, requestEvent = false } = {}
+  ) {
+    // Adapters resolve the user up front; manual calls may leave it out
+    let identity = null;
+    if (data.userId === undefined) {
+      identity = req ? await identify(identitySource ?? req) : { ...ANONYMOUS };
+    }
+
+    // Policies are about request traffic: only the adapters' request
+    // events are sampled, while track(), log() and trackEvent() calls are
+    // always kept, even inside a request
+    let sampleRate = 1;
+    if (decide && requestEvent) {
+      const decision = decide(
+        policyInput(req, {
+          requestId: req ? requestId(req) : undefined,
+          ...identity,
+          ...data,
+        })
+      );
+      if (!decision.keep) {
+        metrics.count("filtered");
+        return null;
+      }
+      sampleRate = decision.sampleRate;
+    }
+
+    const { ip, source } = req
+      ? resolveClientIp(req, { trustProxy: trust, ipHeaders })
+      : { ip: data.ip ?? null, source: data.ip ? "explicit" : "none" };
+
+    let geo = null;
+    if (geoLookup && ip) {
+      try {
+        geo = await geoLookup(ip);
+      } catch (err) {
+        console.warn("Audit geo lookup failed:", err.message);
+      }
+    }
+
+    const userAgent = req ? req.headers["user-agent"] : data.userAgent ?? null;
+    let client = null;
+    if (parseClient && userAgent) {
+      try {
+        client = parseClient(userAgent, req?.headers);
+      } catch (err) {
+        console.warn("Audit user agent parsing failed:", err.message);
+      }
+    }
+
+    let sessionId = null;
+    if (resolveSession && req) {
+      try {
+        sessionId = resolveSession(req);
+      } catch (err) {
+        console.warn("Audit session resolver failed:", err.message);
+      }
+    }
+
+    const traceContext =
+      req?.auditTraceContext ?? otelBridge?.capture(req) ?? null;
+
+    // Prior state from the app: record what the write changed
+    let changes;
+    if (data.before !== undefined) {
+      const after =
+        data.after !== undefined
+          ? data.after
+          : data.requestBody?.truncated === false
+            ? data.requestBody.data
+            : req?.body;
+      changes = diffStates(data.before, after, {
+        partial: String(data.method ?? req?.method).toUpperCase() === "PATCH",
+      });
+    }
+
+    let auditEvent = buildAuditEvent(
+      {
+        requestId: req ? requestId(req) : null,
+        sessionId,
+        ...identity,
+        ...(traceContext && {
+          traceId: traceContext.traceId,
+          spanId: traceContext.spanId,
+        }),
+        ...data,
+        ...(changes && { changes }),
+        ...(sampleRate < 1 && { sampleRate }),
+        ...validation,
+        userAgent,
+        ipSource: source,
+      },
+      ip,
+      geo,
+      client
+    );
+
+    if (runHooks) {
+      auditEvent = await runHooks(auditEvent, { req });
+      if (!auditEvent) {
+        metrics.count("filtered");
+        return null;
+      }
+    }
+    // Before redaction: anonymised IPs and hashed ids would hide attackers
+    if (detector) {
+      try {
+        detector.observe(auditEvent);
+      } catch (err) {
+        console.warn("Audit anomaly detection failed:", err.message);
+      }
+    }
+    if (redactEvent) {
+      auditEvent = redactEvent(auditEvent);
+    }
+    if (chain) {
+      auditEvent = chain.seal(auditEvent);
+    }
+
+    if (otelBridge) {
+      try {
+        otelBridge.record(auditEvent, traceContext);
+      } catch (err) {
+        console.warn("Audit OTel export failed:", err.message);
+      }
+    }
+
+    await deliver(auditEvent);
+
+    return auditEvent;
+  }
+
+  /**
+   * Record in the current async context: a missing `req` falls back to the
+   * request being handled, and `withContext` fields are merged in
+   */
+  async function recordInContext(
+    req,
+    data,
+    { strict = false, requestEvent = false } = {}
+  ) {
+    try {
+      let validation = {};
+      if (strict || (events && validateTrack)) {
+        const { event, ...payload } = data;
+        validation = registry.check(event, payload, { strict });
+      }
+
+      const store = context.current();
+      const request = req ?? store?.req ?? null;
+      return await record(
+        request,
+        { ...store?.fields, ...data },
+        {
+          validation,
+          identitySource:
+            store && request === store.req ? store.identitySource : undefined,
+          requestEvent,
+        }
+      );
+    } catch (err) {
+      onError(err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record an event for a request. Resolves to `null` when a
+   * `beforeSend` hook drops it.
+   * @param {object|null} req - Request the event belongs to; `null` for the current one, if any
+   * @param {object} data
+   * @returns {Promise<object|null>}
+   */
+  function track(req, data) {
+    return recordInContext(req, data);
+  }
+
+  /**
+   * Record a registered event type, validating its payload first.
+   * Unregistered names are treated as invalid.
+   * @param {string} name - e.g. 'auth.login'
+   * @param {object} payload
+   * @param {object} [req] - Request the event happened in (default: the current one, if any)
+   * @returns {Promise<object|null>}
+   */
+  function trackEvent(name, payload = {}, req = null) {
+    return recordInContext(req, { ...payload, event: name }, { strict: true });
+  }
+
+  /**
+   * Record an event from anywhere: inside a request handled by an adapter
+   * it inherits that request's user, IP and ids; elsewhere (jobs, CLIs,
+   * consumers) pass the actor explicitly or set it with `withContext`.
+   * @param {string|object} nameOrData - Event name, or the full event data
+   * @param {object} [payload] - Event data when a name is given
+   * @returns {Promise<object|null>}
+   */
+  function log(nameOrData, payload = {}) {
+    const data =
+      typeof nameOrData === "string"
+        ? { ...payload, event: nameOrData }
+        : nameOrData;
+    return recordInContext(null, data);
+  }
+
+  /**
+   * Framework-agnostic lifecycle for a Node `req`/`res` pair, shared by
+   * the adapters: starts timing and body capture, echoes the request id
+   * and records the event once the response has been sent.
+   *
+   * @param {object} req - Request passed to `track` (the framework's or Node's)
+   * @param {import("http").ServerResponse} res - Node response
+   * @param {object} [hooks]
+   * @param {object} [hooks.identitySource] - What user resolvers receive (default: req)
+   * @param {(id: string) => void} [hooks.setHeader] - Echo the request id (default: `res.setHeader`)
+   * @param {() => object} [hooks.describe] - Read when the response is sent: `route`, `routePattern`,
+   *   `method`, `statusCode`, `parsedBody`; other fields are added to the event
+   * @param {string} [hooks.label] - Prefix for warnings (default: 'Audit middleware')
+   * @returns {{ requestId: string, run(fn: Function): * }} `run` calls the rest of the chain inside the request's context
+   */
+  function observeRequest(
+    req,
+    res,
+    {
+      identitySource = req,
+      setHeader,
+      describe = () => ({}),
+      label = "Audit middleware",
+    } = {}
+  ) {
+    const probe = instrumentResponse(res);
+
+    const { requestId: id } = beginRequest(req, res);
+    if (echoRequestId) {
+      if (setHeader) {
+        setHeader(id);
+      } else if (!res.headersSent) {
+        res.setHeader(requestIdHeader, id);
+      }
+    }
+
+    res.once("finish", async () => {
+      // Event streams are recorded as connections by auditEventStream,
+      // GraphQL requests as operations by the GraphQL plugins
+      if (res.auditConnection || req.auditHandledBy) return;
+      const { duration, ttfb, responseSize } = probe.summary();
+
+      try {
+        const {
+          route,
+          routePattern = null,
+          method = req.method,
+          statusCode = res.statusCode,
+          parsedBody = req.body,
+          ...extra
+        } = describe();
+        const identity = await identify(identitySource);
+        await recordInContext(
+          req,
+          {
+            ...identity,
+            route: route ?? (req.originalUrl || req.url),
+            routePattern,
+            method,
+            statusCode,
+            duration,
+            ttfb,
+            requestSize: requestSizeOf(req.headers),
+            responseSize,
+            ...capturedBodies(req, parsedBody),
+            ...extra,
+          },
+          { requestEvent: true }
+        );
+      } catch (err) {
+        console.warn(`${label} failed:`, err.message);
+      }
+    });
+
+    return {
+      requestId: id,
+      run: (fn) => context.runInRequest(req, fn, identitySource),
+    };
+  }
+
+  /**
+   * Framework-agnostic lifecycle for Fetch-style handlers (`Request` in,
+   * `Response` out): runs `fn` inside the request's context and records
+   * the event when it settles. Thrown errors are recorded and rethrown.
+   *
+   * @param {object} req - Request from `toAuditRequest`
+   * @param {() => Promise<Response|*>} fn - Runs the handler
+   * @param {object} [hooks]
+   * @param {object} [hooks.identitySource] - What user resolvers receive (default: req)
+   * @param {(response: Response|undefined) => object} [hooks.describe] - `routePattern`,
+   *   `statusCode`; other fields are added to the event
+   * @param {(promise: Promise) => void} [hooks.waitUntil] - Defer delivery past the response;
+   *   without it delivery is awaited
+   * @param {string} [hooks.label] - Prefix for warnings (default: 'Audit handler')
+   * @returns {Promise<*>} What `fn` resolved to
+   */
+  async function observeFetch(
+    req,
+    fn,
+    {
+      identitySource = req,
+      describe = () => ({}),
+      waitUntil,
+      label = "Audit handler",
+    } = {}
+  ) {
+    const start = process.hrtime.bigint();
+    beginRequest(req);
+
+    let response;
+    let statusCode = 500;
+    try {
+      response = await context.runInRequest(req, fn, identitySource);
+      statusCode = response?.status ?? 200;
+      return response;
+    } catch (err) {
+      statusCode = statusFromError(err);
+      throw err;
+    } finally {
+      const { routePattern = null, ...extra } = describe(response);
+      const delivery = identify(identitySource)
+        .then((identity) =>
+          recordInContext(
+            req,
+            {
+              ...identity,
+              route: req.url,
+              routePattern,
+              method: req.method,
+              statusCode,
+              duration: elapsedMs(start),
+              ttfb: null,
+              requestSize: requestSizeOf(req.headers),
+              responseSize: responseSizeOf(response),
+              ...extra,
+            },
+            { requestEvent: true }
+          )
+        )
+        .catch((err) => console.warn(`${label} failed:`, err.message));
+
+      if (waitUntil) {
+        waitUntil(delivery);
+      } else {
+        await delivery;
+      }
+    }
+  }
+
+  function expressMiddleware() {
+    return (req, res, next) => {
+      const { run } = observeRequest(req, res, {
+        describe: () => ({ routePattern: expressRoutePattern(req) }),
+      });
+      run(next);
+    };
+  }
+
+  /**
+   * Request being handled in the current async context, if any
+   * @returns {object|null}
+   */
+  function currentRequest() {
+    return context.current()?.req ?? null;
+  }
+
+  return {
+    track,
+    trackEvent,
+    log,
+    withContext: context.withContext,
+    runInRequest: context.runInRequest,
+    currentRequest,
+    registerEvent: registry.register,
+    expressMiddleware,
+    requestId,
+    identify,
+    beginRequest,
+    capturedBodies,
+    observeRequest,
+    observeFetch,
+    getStats,
+    metricsHandler,
+    flush,
+    close,
+  };
+}
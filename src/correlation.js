@@ -0,0 +1,107 @@
+import { createHash, randomUUID } from "crypto";
+import { incomingRequestId } from "./traceparent.js";
+
+function headerValue(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Pick the request id: a well-formed incoming request id header, else the
+ * trace id of an incoming `traceparent`, else a new UUID.
+ * @param {object} req
+ * @param {string} [header] - Request id header (default: 'x-request-id')
+ * @returns {string}
+ */
+export function resolveRequestId(req, header = "x-request-id") {
+  return incomingRequestId(req.headers, header) ?? randomUUID();
+}
+
+/**
+ * Parse a Cookie header into a name/value map
+ * @param {string} header
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  if (typeof header !== "string") return cookies;
+
+  for (const pair of header.split(";")) {
+    const index = pair.indexOf("=");
+    if (index < 0) continue;
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim().replace(/^"|"$/g, "");
+    try {
+      value = decodeURIComponent(value);
+    } catch {
+      // keep the raw value
+    }
+    if (name && !(name in cookies)) cookies[name] = value;
+  }
+  return cookies;
+}
+
+/**
+ * Decode a JWT payload without verifying it. Only for correlation,
+ * never for deciding who the caller is.
+ * @param {string} token
+ * @returns {object|null}
+ */
+export function decodeJwtPayload(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) return null;
+  try {
+    return JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function bearerToken(req, header) {
+  const value = headerValue(req.headers, header);
+  if (typeof value !== "string") return null;
+  const match = value.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : value.trim();
+}
+
+/**
+ * Build a session resolver that yields the same `sessionId` for every
+ * request of one session.
+ *
+ * @param {function|object} spec
+ *   `(req) => string|null`, or `{ cookie }` to read a session cookie, or
+ *   `{ jwtClaim, header }` to read a claim from a bearer token
+ *   (header default: 'authorization', claim default: 'sid')
+ * @param {object} [options]
+ * @param {boolean} [options.hash] - Store a SHA-256 of the raw value so
+ *   session secrets never reach the audit log (default: true)
+ * @returns {(req: object) => string|null}
+ */
+export function createSessionResolver(spec, { hash = true } = {}) {
+  let read;
+  if (typeof spec === "function") {
+    read = spec;
+  } else if (spec?.cookie) {
+    const names = [].concat(spec.cookie);
+    read = (req) => {
+      const cookies = parseCookies(headerValue(req.headers, "cookie"));
+      const name = names.find((n) => cookies[n]);
+      return name ? cookies[name] : null;
+    };
+  } else if (spec?.jwtClaim || spec?.header) {
+    const claim = spec.jwtClaim || "sid";
+    const header = spec.header || "authorization";
+    read = (req) =>
+      decodeJwtPayload(bearerToken(req, header))?.[claim] ?? null;
+  } else {
+    throw new Error("session must be a function, { cookie } or { jwtClaim }");
+  }
+
+  return (req) => {
+    const value = read(req);
+    if (value === null || value === undefined || value === "") return null;
+    if (!hash) return String(value);
+    const digest = createHash("sha256").update(String(value)).digest("hex");
+    return digest.slice(0, 32);
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * Audit adapter for edge runtimes (Next.js `middleware.ts`, Vercel and
+ * Cloudflare edge functions). It only uses Web APIs, so it does not share
+ * the Node-only pipeline of `createAuditServer`: no geoip database, no
+ * signing and no spool. Request ids, trace context, user resolution and
+ * redaction come from the Web-safe modules the Node pipeline uses too.
+ * Events are POSTed with `fetch` after the response, through
+ * `event.waitUntil`.
+ *
+ * @module triostack-audit-sdk/edge
+ */
+
+import { withResponseHeader } from "./fetch.js";
+import { createIdentityResolver, headerUserResolver } from "./resolvers.js";
+import { createRedactor } from "./scrub.js";
+import { incomingRequestId, parseTraceparent } from "./traceparent.js";
+import { createUserAgentParser } from "./useragent.js";
+
+function decodeHeader(value) {
+  if (value === null || value === undefined) return null;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Geolocation the platform attached to the request: `request.geo`
+ * (Next.js 14 and earlier), Vercel `x-vercel-ip-*` or Cloudflare headers
+ * @param {Request} request
+ * @returns {{ city: string|null, region: string|null, country: string|null, latitude: number|null, longitude: number|null }}
+ */
+export function platformGeo(request) {
+  const headers = request.headers;
+  const geo = request.geo || {};
+  return {
+    city: geo.city ?? decodeHeader(headers.get("x-vercel-ip-city")),
+    region: geo.region ?? headers.get("x-vercel-ip-country-region"),
+    country:
+      geo.country ??
+      headers.get("x-vercel-ip-country") ??
+      headers.get("cf-ipcountry"),
+    latitude: toNumber(geo.latitude ?? headers.get("x-vercel-ip-latitude")),
+    longitude: toNumber(geo.longitude ?? headers.get("x-vercel-ip-longitude")),
+  };
+}
+
+function requestIdOf(headers, header) {
+  return incomingRequestId(headers, header) ?? crypto.randomUUID();
+}
+
+/**
+ * Set a header on the request handed to the middleware, copying the
+ * request when its headers are immutable (e.g. on Cloudflare Workers)
+ * @param {Request} request
+ * @param {string} name
+ * @param {string} value
+ * @returns {Request}
+ */
+function withRequestHeader(request, name, value) {
+  try {
+    request.headers.set(name, value);
+    return request;
+  } catch {
+    const headers = new Headers(request.headers);
+    headers.set(name, value);
+    return new Request(request, { headers });
+  }
+}
+
+function traceOf(headers) {
+  const trace = parseTraceparent(headers.get("traceparent"));
+  return trace ? { traceId: trace.traceId, spanId: trace.parentId } : null;
+}
+
+/**
+ * POST events to an HTTP endpoint with `fetch`
+ * @param {object} options
+ * @param {string} options.url
+ * @param {object} [options.headers]
+ * @param {number} [options.timeout] - Request timeout in ms (default: 10000)
+ */
+function createFetchTransport({ url, headers = {}, timeout = 10000 }) {
+  return {
+    async send(events) {
+      for (const event of events) {
+        const response = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...headers },
+          body: JSON.stringify(event),
+          signal: AbortSignal.timeout?.(timeout),
+        });
+        if (!response.ok) {
+          const err = new Error(`Audit endpoint responded ${response.status}`);
+          err.status = response.status;
+          throw err;
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Edge middleware adapter.
+ *
+ * Returns `withAudit(middleware)`, which also exposes
+ * `track(request, data, event?)`.
+ *
+ * @param {object} options
+ * @param {string} [options.dbUrl] - Where to POST audit events
+ * @param {object} [options.headers] - Extra headers for `dbUrl` requests (e.g. an API key)
+ * @param {{ send(events: object[]): Promise<void> }} [options.transport] - Custom transport instead of `dbUrl`
+ * @param {string} [options.userIdHeader] - Header name for user ID when no resolveUser is set (default: 'x-user-id')
+ * @param {function|function[]} [options.resolveUser] - Resolver(s) receiving the `Request`, returning { userId, ... }
+ * @param {string} [options.requestIdHeader] - Header carrying the request id (default: 'x-request-id')
+ * @param {boolean} [options.echoRequestId] - Send the request id back on returned responses (default: true)
+ * @param {(request: Request) => string} [options.clientIp] - Client IP resolver (default: `request.ip`)
+ * @param {boolean} [options.enableGeo] - Record platform geolocation (default: true)
+ * @param {boolean|object} [options.parseUserAgent] - Add browser, OS, device and bot fields; `{ cacheSize, clientHints }` (default: true)
+ * @param {boolean|object} [options.redact] - Mask sensitive data before events are sent, as in `createAuditServer`; `hash` paths also need a synchronous `digest(value, secret)`
+ * @param {function} [options.onError] - Error handler function
+ */
+export function edgeAuditMiddleware({
+  dbUrl,
+  headers,
+  transport,
+  userIdHeader = "x-user-id",
+  resolveUser,
+  requestIdHeader = "x-request-id",
+  echoRequestId = true,
+  clientIp,
+  enableGeo = true,
+  parseUserAgent = true,
+  redact,
+  onError = (err) => console.error("TriostackAudit Error:", err),
+} = {}) {
+  const parseClient = parseUserAgent
+    ? createUserAgentParser(parseUserAgent === true ? {} : parseUserAgent)
+    : null;
+  const redactEvent = redact
+    ? createRedactor(redact === true ? {} : redact)
+    : null;
+  const sink =
+    transport || (dbUrl && createFetchTransport({ url: dbUrl, headers }));
+  if (!sink) {
+    throw new Error("dbUrl or transport is required for audit server");
+  }
+
+  const identify = createIdentityResolver(
+    resolveUser ? [].concat(resolveUser) : [headerUserResolver(userIdHeader)]
+  );
+
+  async function buildEvent(request, data) {
+    const url = new URL(request.url);
+    const ip = (clientIp ? clientIp(request) : request.ip) || null;
+    const geo = enableGeo ? platformGeo(request) : null;
+    const trace = traceOf(request.headers);
+    const identity = data.userId === undefined ? await identify(request) : null;
+    const userAgent = request.headers.get("user-agent");
+    const client =
+      parseClient && userAgent
+        ? parseClient(userAgent, Object.fromEntries(request.headers))
+        : null;
+
+    return {
+      requestId: requestIdOf(request.headers, requestIdHeader),
+      sessionId: null,
+      timestamp: new Date().toISOString(),
+      ip,
+      ipSource: ip ? "platform" : "unknown",
+      city: geo ? geo.city : null,
+      region: geo ? geo.region : null,
+      country: geo ? geo.country : null,
+      latitude: geo ? geo.latitude : null,
+      longitude: geo ? geo.longitude : null,
+      userAgent: userAgent || "Unknown",
+      ...client,
+      ...identity,
+      ...trace,
+      route: url.pathname + url.search,
+      method: request.method,
+      runtime: "edge",
+      ...data,
+    };
+  }
+
+  async function deliver(event) {
+    try {
+      await sink.send([event]);
+    } catch (err) {
+      console.warn("Audit save error:", err.message);
+      onError(err);
+    }
+  }
+
+  /**
+   * Record an event for a request. Pass the middleware `event` (or any
+   * object with `waitUntil`) to keep the runtime alive until it is sent;
+   * the response does not need to wait for the returned promise then.
+   * @param {Request} request
+   * @param {object} data
+   * @param {{ waitUntil(promise: Promise): void }} [event]
+   * @returns {Promise<object>}
+   */
+  function track(request, data = {}, event) {
+    const recorded = buildEvent(request, data).then(async (built) => {
+      const auditEvent = redactEvent ? redactEvent(built) : built;
+      await deliver(auditEvent);
+      return auditEvent;
+    });
+    // waitUntil has to be called before the middleware returns
+    event?.waitUntil?.(recorded);
+    return recorded;
+  }
+
+  /**
+   * Wrap a middleware function `(request, event) => Response|undefined`.
+   * The middleware receives the request with the request id header set,
+   * generated when the client sent none.
+   * @param {Function} [middleware] - Defaults to letting every request through
+   */
+  function withAudit(middleware = () => undefined) {
+    return async (request, event) => {
+      const start = Date.now();
+      const requestId = requestIdOf(request.headers, requestIdHeader);
+      // A generated id has to reach the middleware too, so that its own
+      // track() calls and forwarded headers carry the same id
+      const forwarded =
+        request.headers.get(requestIdHeader) === requestId
+          ? request
+          : withRequestHeader(request, requestIdHeader, requestId);
+      let response;
+      let statusCode = null;
+      try {
+        response = await middleware(forwarded, event);
+        statusCode = response?.status ?? null;
+        return response && echoRequestId
+          ? withResponseHeader(response, requestIdHeader, requestId)
+          : response;
+      } catch (err) {
+        statusCode = 500;
+        throw err;
+      } finally {
+        const recorded = track(
+          forwarded,
+          { requestId, statusCode, duration: Date.now() - start },
+          event
+        ).catch((err) => console.warn("Edge audit failed:", err.message));
+        if (!event?.waitUntil) await recorded;
+      }
+    };
+  }
+
+  withAudit.track = track;
+  return withAudit;
+}
+
+export default edgeAuditMiddleware;
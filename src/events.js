@@ -0,0 +1,161 @@
+import { validateSchema } from "./schema.js";
+
+const ACTOR = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    type: { type: "string" },
+    name: { type: "string" },
+  },
+};
+
+const TARGET = {
+  type: "object",
+  required: ["type", "id"],
+  properties: {
+    type: { type: "string", minLength: 1 },
+    id: { type: ["string", "number"] },
+    name: { type: "string" },
+  },
+};
+
+const OUTCOME = { enum: ["success", "failure", "denied", "error"] };
+
+/**
+ * Schemas for common audit events, registered by default
+ */
+export const STANDARD_EVENT_SCHEMAS = {
+  "auth.login": {
+    type: "object",
+    required: ["actor", "outcome"],
+    properties: {
+      actor: ACTOR,
+      outcome: OUTCOME,
+      method: { type: "string" },
+      reason: { type: "string" },
+    },
+  },
+  "auth.logout": {
+    type: "object",
+    required: ["actor"],
+    properties: { actor: ACTOR, outcome: OUTCOME },
+  },
+  "record.create": {
+    type: "object",
+    required: ["actor", "target", "outcome"],
+    properties: {
+      actor: ACTOR,
+      target: TARGET,
+      action: { const: "create" },
+      outcome: OUTCOME,
+    },
+  },
+  "record.update": {
+    type: "object",
+    required: ["actor", "target", "action", "outcome"],
+    properties: {
+      actor: ACTOR,
+      target: TARGET,
+      action: { type: "string", minLength: 1 },
+      outcome: OUTCOME,
+      before: {},
+      after: {},
+    },
+  },
+  "record.delete": {
+    type: "object",
+    required: ["actor", "target", "outcome"],
+    properties: {
+      actor: ACTOR,
+      target: TARGET,
+      action: { const: "delete" },
+      outcome: OUTCOME,
+    },
+  },
+};
+
+/**
+ * Registry of named event types and their JSON Schemas.
+ *
+ * @param {object} [options]
+ * @param {Record<string, object>} [options.schemas] - Event schemas by name
+ * @param {boolean} [options.standard] - Include `STANDARD_EVENT_SCHEMAS` (default: true)
+ * @param {"reject"|"warn"|"tag"} [options.onInvalid] - What happens to an invalid event (default: 'reject')
+ * @param {(schema: object) => (payload: *) => Array} [options.compile] - Use another validator,
+ *   e.g. Ajv; the compiled function returns a list of errors, empty when valid
+ */
+export function createEventRegistry({
+  schemas = {},
+  standard = true,
+  onInvalid = "reject",
+  compile = (schema) => (payload) => validateSchema(schema, payload),
+} = {}) {
+  if (!["reject", "warn", "tag"].includes(onInvalid)) {
+    throw new Error(`Unknown onInvalid behaviour: ${onInvalid}`);
+  }
+
+  const validators = new Map();
+
+  /**
+   * Register (or replace) an event type
+   * @param {string} name
+   * @param {object} schema
+   */
+  function register(name, schema) {
+    if (!name || typeof name !== "string") {
+      throw new Error("Event name must be a non-empty string");
+    }
+    validators.set(name, compile(schema));
+  }
+
+  for (const [name, schema] of Object.entries({
+    ...(standard && STANDARD_EVENT_SCHEMAS),
+    ...schemas,
+  })) {
+    register(name, schema);
+  }
+
+  /**
+   * Validate the payload of a named event. Unregistered names are only
+   * an error for `trackEvent`, which passes `strict`.
+   * @param {string} name
+   * @param {object} payload
+   * @param {object} [options]
+   * @param {boolean} [options.strict] - Treat unregistered names as invalid
+   * @returns {object} Fields to add to the event (empty when valid)
+   */
+  function check(name, payload, { strict = false } = {}) {
+    const validate = validators.get(name);
+    let errors;
+    if (validate) {
+      errors = validate(payload) || [];
+    } else if (strict) {
+      errors = [{ path: "", message: `unknown event type "${name}"` }];
+    } else {
+      return {};
+    }
+    if (!errors.length) return {};
+
+    const summary = errors
+      .map(({ path, message }) => (path ? `${path} ${message}` : message))
+      .join("; ");
+
+    if (onInvalid === "reject") {
+      const err = new Error(`Invalid audit event "${name}": ${summary}`);
+      err.validationErrors = errors;
+      throw err;
+    }
+    if (onInvalid === "warn") {
+      console.warn(`Audit event "${name}" is invalid:`, summary);
+      return {};
+    }
+    return { eventValid: false, validationErrors: errors };
+  }
+
+  return {
+    register,
+    check,
+    has: (name) => validators.has(name),
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Web Fetch helpers. The edge adapter uses them too, so they must not
+ * import Node modules.
+ */
+
+/**
+ * Adapt a Web Fetch `Request` (or its parts) to the request shape the
+ * audit server reads: lower-case `headers` object, `method`, `url` and
+ * `ip`. There is no socket, so the IP comes from `clientIp`, or from
+ * `request.ip` where the platform sets it (Next.js 14 and earlier).
+ *
+ * @param {Request|{ method: string, url: string, headers: Headers }} request
+ * @param {object} [options]
+ * @param {(request: Request) => string|undefined} [options.clientIp] - Client IP resolver
+ * @returns {{ method: string, url: string, originalUrl: string, headers: object, ip?: string, fetchRequest: object }}
+ */
+export function toAuditRequest(request, { clientIp } = {}) {
+  const headers = {};
+  request.headers?.forEach((value, name) => {
+    headers[name.toLowerCase()] = value;
+  });
+
+  let url = request.url || "/";
+  try {
+    const parsed = new URL(url, "http://localhost");
+    url = parsed.pathname + parsed.search;
+  } catch {
+    // keep the raw value
+  }
+
+  return {
+    method: String(request.method || "GET").toUpperCase(),
+    url,
+    originalUrl: url,
+    headers,
+    ip: (clientIp ? clientIp(request) : request.ip) || undefined,
+    fetchRequest: request,
+  };
+}
+
+/**
+ * Set a header on a Response, copying it first when its headers are
+ * immutable (e.g. `Response.redirect()` or a proxied `fetch()` response)
+ * @param {Response} response
+ * @param {string} name
+ * @param {string} value
+ * @returns {Response}
+ */
+export function withResponseHeader(response, name, value) {
+  try {
+    response.headers.set(name, value);
+    return response;
+  } catch {
+    const copy = new Response(response.body, response);
+    copy.headers.set(name, value);
+    return copy;
+  }
+}
+
+/**
+ * Status a Next.js control-flow error stands for: `redirect()` and
+ * `notFound()` throw errors carrying a `digest` instead of returning
+ * @param {*} err
+ * @returns {number}
+ */
+export function statusFromError(err) {
+  const digest = typeof err?.digest === "string" ? err.digest : "";
+  if (digest.startsWith("NEXT_REDIRECT")) {
+    const code = digest.split(";").find((part) => /^3\d\d$/.test(part));
+    return code ? Number(code) : 307;
+  }
+  if (digest === "NEXT_NOT_FOUND") return 404;
+  const fallback = digest.match(/^NEXT_HTTP_ERROR_FALLBACK;(\d{3})$/);
+  if (fallback) return Number(fallback[1]);
+  return 500;
+}
+
+/**
+ * Response body size from its Content-Length, null when streamed
+ * @param {Response} [response]
+ * @returns {number|null}
+ */
+export function responseSizeOf(response) {
+  const value = response?.headers?.get("content-length");
+  if (value === null || value === undefined) return null;
+  const size = Number(value);
+  return Number.isFinite(size) && size >= 0 ? size : null;
+}
@@ -0,0 +1,145 @@
+import { isIP } from "net";
+import { compileRanges } from "./ip.js";
+import { createLruCache } from "./lru.js";
+
+const SPECIAL_RANGES = [
+  ["unspecified", compileRanges(["0.0.0.0/8", "::/128"]), "Unspecified"],
+  ["loopback", compileRanges("loopback"), "Loopback"],
+  ["private", compileRanges("uniquelocal"), "Private Network"],
+  ["linklocal", compileRanges("linklocal"), "Link-Local"],
+  ["cgnat", compileRanges("100.64.0.0/10"), "Carrier-Grade NAT"],
+];
+
+/**
+ * Classify an address as public or one of the special-purpose ranges
+ * @param {string} ip
+ * @returns {{ type: string, label: string|null }}
+ */
+export function classifyIp(ip) {
+  if (!isIP(ip)) {
+    return { type: "invalid", label: "Unknown" };
+  }
+  for (const [type, matches, label] of SPECIAL_RANGES) {
+    if (matches(ip)) {
+      return { type, label };
+    }
+  }
+  return { type: "public", label: null };
+}
+
+/** Map a MaxMind (mmdb) record to the SDK's geo fields */
+function fromMaxMind(record) {
+  if (!record) return null;
+  return {
+    city: record.city?.names?.en,
+    region: record.subdivisions?.[0]?.iso_code,
+    country: record.country?.iso_code,
+    latitude: record.location?.latitude,
+    longitude: record.location?.longitude,
+    asn: record.autonomous_system_number,
+    isp:
+      record.isp ||
+      record.organization ||
+      record.autonomous_system_organization,
+  };
+}
+
+let geoipLite = null;
+
+/** Default resolver backed by geoip-lite, loaded on first use */
+async function geoipLiteResolver(ip) {
+  if (!geoipLite) {
+    geoipLite = import("geoip-lite").then((mod) => mod.default || mod);
+  }
+  const geo = (await geoipLite).lookup(ip);
+  if (!geo) return null;
+  return {
+    city: geo.city,
+    region: geo.region,
+    country: geo.country,
+    latitude: geo.ll?.[0],
+    longitude: geo.ll?.[1],
+  };
+}
+
+function toResolver(resolver) {
+  if (typeof resolver === "function") return resolver;
+  // MaxMind readers (`maxmind`, `@maxmind/geoip2-node` Reader) expose get()
+  if (resolver && typeof resolver.get === "function") {
+    return (ip) => fromMaxMind(resolver.get(ip));
+  }
+  throw new Error("geoResolver must be a function or an mmdb reader");
+}
+
+/**
+ * Build a cached geolocation lookup.
+ *
+ * A resolver is a function `(ip) => geo | null` (sync or async) returning
+ * `{ city, region, country, latitude, longitude, asn, isp }`, or an mmdb
+ * reader with a `get(ip)` method. Several resolvers can be combined, e.g.
+ * a City and an ASN database; earlier ones win for fields both return.
+ *
+ * @param {object} [options]
+ * @param {function|object|Array} [options.resolver] - Resolver(s) (default: geoip-lite)
+ * @param {number} [options.cacheSize] - IPs kept in the LRU cache (default: 10000)
+ * @param {number} [options.cacheTtlMs] - Cache entry lifetime (default: 1 hour)
+ * @returns {(ip: string) => Promise<object>}
+ */
+export function createGeoLookup({
+  resolver,
+  cacheSize = 10000,
+  cacheTtlMs = 60 * 60 * 1000,
+} = {}) {
+  const resolvers = resolver
+    ? [].concat(resolver).map(toResolver)
+    : [geoipLiteResolver];
+  const cache = createLruCache({ max: cacheSize, ttlMs: cacheTtlMs });
+
+  async function resolve(ip) {
+    const { type, label } = classifyIp(ip);
+    if (type !== "public") {
+      return {
+        city: label,
+        region: label,
+        country: label,
+        latitude: null,
+        longitude: null,
+        ipType: type,
+      };
+    }
+
+    const results = await Promise.all(resolvers.map((r) => r(ip)));
+    const merged = {};
+    for (const result of results.reverse()) {
+      for (const [key, value] of Object.entries(result || {})) {
+        if (value !== undefined && value !== null) merged[key] = value;
+      }
+    }
+
+    const geo = {
+      city: merged.city || "Unknown",
+      region: merged.region || "Unknown",
+      country: merged.country || "Unknown",
+      latitude: merged.latitude ?? null,
+      longitude: merged.longitude ?? null,
+      ipType: type,
+    };
+    if (merged.asn !== undefined) geo.asn = merged.asn;
+    if (merged.isp !== undefined) geo.isp = merged.isp;
+    return geo;
+  }
+
+  return async function lookup(ip) {
+    const cached = cache.get(ip);
+    if (cached) return cached;
+
+    const pending = resolve(ip);
+    cache.set(ip, pending);
+    try {
+      return await pending;
+    } catch (err) {
+      cache.delete(ip);
+      throw err;
+    }
+  };
+}
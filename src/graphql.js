@@ -0,0 +1,398 @@
+import { createRedactor } from "./redact.js";
+import { toAuditRequest } from "./fetch.js";
+
+const WRAPPED = Symbol("triostack.audit.resolver");
+
+/**
+ * Operation a document runs: its name, type and the top-level fields it
+ * selects (through fragments, without `__typename`). Works on the parsed
+ * AST, so graphql-js does not need to be imported here.
+ * @param {object} [document] - Parsed `DocumentNode`
+ * @param {string} [operationName]
+ * @returns {{ operationName: string|null, operationType: string|null, fields: string[] }}
+ */
+export function describeOperation(document, operationName) {
+  const definitions = document?.definitions ?? [];
+  const operations = definitions.filter(
+    (definition) => definition.kind === "OperationDefinition"
+  );
+  const operation = operationName
+    ? operations.find((op) => op.name?.value === operationName)
+    : operations.length === 1
+      ? operations[0]
+      : null;
+  if (!operation) {
+    return {
+      operationName: operationName ?? null,
+      operationType: null,
+      fields: [],
+    };
+  }
+
+  const fragments = new Map(
+    definitions
+      .filter((definition) => definition.kind === "FragmentDefinition")
+      .map((definition) => [definition.name.value, definition])
+  );
+  const fields = new Set();
+  const seen = new Set();
+  const visit = (selectionSet) => {
+    for (const selection of selectionSet?.selections ?? []) {
+      if (selection.kind === "Field") {
+        if (selection.name.value !== "__typename") {
+          fields.add(selection.name.value);
+        }
+      } else if (selection.kind === "InlineFragment") {
+        visit(selection.selectionSet);
+      } else if (
+        selection.kind === "FragmentSpread" &&
+        !seen.has(selection.name.value)
+      ) {
+        seen.add(selection.name.value);
+        visit(fragments.get(selection.name.value)?.selectionSet);
+      }
+    }
+  };
+  visit(operation.selectionSet);
+
+  return {
+    operationName: operation.name?.value ?? operationName ?? null,
+    operationType: operation.operation,
+    fields: [...fields],
+  };
+}
+
+function pathOf(path) {
+  const keys = [];
+  for (let node = path; node; node = node.prev) keys.unshift(node.key);
+  return keys.join(".");
+}
+
+/**
+ * Resolver timings of one operation
+ * @param {number} max - Timings kept
+ */
+function createTimings(max) {
+  const entries = [];
+  return {
+    /**
+     * @param {object} info - GraphQLResolveInfo
+     * @param {bigint} began - From `process.hrtime.bigint()`
+     */
+    add(info, began) {
+      if (entries.length >= max) return;
+      const duration = Number(process.hrtime.bigint() - began) / 1e6;
+      entries.push({
+        field: `${info.parentType.name}.${info.fieldName}`,
+        path: pathOf(info.path),
+        duration: Math.round(duration * 1000) / 1000,
+      });
+    },
+    list: () => entries,
+  };
+}
+
+/**
+ * Turns operations into `graphql.operation` events on an audit server;
+ * shared by the Apollo and envelop plugins
+ */
+function createOperationRecorder(
+  auditServer,
+  {
+    variables: includeVariables = true,
+    redactVariables = true,
+    introspection = false,
+    replaceRequestEvent = true,
+    resolvers = "root",
+    maxResolvers = 50,
+    getRequest = defaultRequest,
+  } = {}
+) {
+  const redact = redactVariables
+    ? createRedactor(redactVariables === true ? {} : redactVariables)
+    : null;
+
+  return {
+    resolvers,
+
+    timings: () => createTimings(resolvers ? maxResolvers : 0),
+
+    /**
+     * Whether a resolver is timed
+     * @param {object} info - GraphQLResolveInfo
+     */
+    times: (info) => resolvers === "all" || (resolvers && !info.path.prev),
+
+    /**
+     * Find the request of an operation and keep the request adapters
+     * from also recording it as a plain `POST /graphql`
+     * @param {object} contextValue - GraphQL context
+     * @returns {object|null}
+     */
+    requestOf(contextValue) {
+      let req = auditServer.currentRequest();
+      if (!req) {
+        try {
+          req = getRequest(contextValue) ?? null;
+        } catch (err) {
+          console.warn("GraphQL audit failed:", err.message);
+        }
+      }
+      if (req && replaceRequestEvent) req.auditHandledBy = "graphql";
+      return req;
+    },
+
+    /**
+     * Record one operation
+     * @param {object} operation
+     * @param {object|null} operation.req
+     * @param {object} [operation.document] - Parsed document, missing when parsing failed
+     * @param {string} [operation.operationName]
+     * @param {object} [operation.variables]
+     * @param {ReadonlyArray<Error>} [operation.errors]
+     * @param {bigint} operation.start - From `process.hrtime.bigint()`
+     * @param {{ list(): object[] }} [operation.timings]
+     * @returns {Promise<void>}
+     */
+    async record({
+      req,
+      document,
+      operationName,
+      variables,
+      errors,
+      start,
+      timings,
+    }) {
+      try {
+        const described = describeOperation(document, operationName);
+        if (
+          !introspection &&
+          described.fields.length &&
+          described.fields.every((field) => field.startsWith("__"))
+        ) {
+          return;
+        }
+
+        const duration = Number(process.hrtime.bigint() - start) / 1e6;
+        const operationErrors = (errors ?? []).map((err) => ({
+          message: err.message,
+          ...(err.path && { path: err.path.join(".") }),
+          ...(err.extensions?.code && { code: err.extensions.code }),
+        }));
+        const resolverTimings = timings?.list() ?? [];
+
+        await auditServer.track(req, {
+          ...(req && { route: req.originalUrl || req.url, method: req.method }),
+          event: "graphql.operation",
+          ...described,
+          ...(includeVariables &&
+            variables && {
+              variables: redact ? redact(variables) : variables,
+            }),
+          outcome: operationErrors.length ? "error" : "success",
+          ...(operationErrors.length && { errors: operationErrors }),
+          duration: Math.round(duration * 1000) / 1000,
+          ...(resolverTimings.length && { resolvers: resolverTimings }),
+        });
+      } catch (err) {
+        console.warn("GraphQL audit failed:", err.message);
+      }
+    },
+  };
+}
+
+/**
+ * Request of a GraphQL context: `req` (Apollo's Express integration when
+ * the context passes it on, Yoga on Node) or Yoga's Fetch `request`
+ */
+function defaultRequest(contextValue) {
+  if (contextValue?.req?.headers) return contextValue.req;
+  if (typeof contextValue?.request?.headers?.get === "function") {
+    return toAuditRequest(contextValue.request);
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} GraphqlAuditOptions
+ * @property {boolean} [variables] - Record operation variables (default: true)
+ * @property {boolean|object} [redactVariables] - Redact variables with the default rules, or with
+ *   these `redact` options, before the server's own `redact` runs (default: true)
+ * @property {"root"|"all"|false} [resolvers] - Resolver timings: top-level fields, every field, or none (default: 'root')
+ * @property {number} [maxResolvers] - Resolver timings kept per operation (default: 50)
+ * @property {boolean} [introspection] - Record introspection-only operations (default: false)
+ * @property {boolean} [replaceRequestEvent] - Skip the request adapters' own event for GraphQL requests (default: true)
+ * @property {(contextValue: object) => object} [getRequest] - Request of a GraphQL context, when
+ *   no request adapter runs (default: `context.req`, or Yoga's `context.request`)
+ */
+
+/**
+ * Apollo Server (4 and later) plugin recording every operation as a
+ * `graphql.operation` event: `plugins: [apolloAuditPlugin(auditServer)]`
+ * @param {object} auditServer - From `createAuditServer`
+ * @param {GraphqlAuditOptions} [options]
+ */
+export function apolloAuditPlugin(auditServer, options) {
+  const recorder = createOperationRecorder(auditServer, options);
+
+  return {
+    async requestDidStart({ contextValue }) {
+      const start = process.hrtime.bigint();
+      const timings = recorder.timings();
+      const req = recorder.requestOf(contextValue);
+
+      return {
+        async executionDidStart() {
+          if (!recorder.resolvers) return;
+          return {
+            willResolveField({ info }) {
+              if (!recorder.times(info)) return;
+              const began = process.hrtime.bigint();
+              return () => timings.add(info, began);
+            },
+          };
+        },
+
+        async willSendResponse(requestContext) {
+          // Not awaited: the response does not wait for delivery
+          recorder.record({
+            req,
+            document: requestContext.document,
+            operationName:
+              requestContext.operationName ??
+              requestContext.request.operationName,
+            variables: requestContext.request.variables,
+            errors: requestContext.errors,
+            start,
+            timings,
+          });
+        },
+      };
+    },
+  };
+}
+
+function isAsyncIterable(value) {
+  return typeof value?.[Symbol.asyncIterator] === "function";
+}
+
+/**
+ * Envelop plugin (GraphQL Yoga and other envelop servers) recording
+ * every operation as a `graphql.operation` event:
+ * `plugins: [useAudit(auditServer)]`. Subscriptions are recorded when
+ * they start.
+ * @param {object} auditServer - From `createAuditServer`
+ * @param {GraphqlAuditOptions} [options]
+ */
+export function useAudit(auditServer, options) {
+  const recorder = createOperationRecorder(auditServer, options);
+  // Resolver timings by GraphQL context, filled by the wrapped resolvers
+  const timingsByContext = new WeakMap();
+
+  function timingsFor(contextValue) {
+    if (!contextValue || typeof contextValue !== "object") return null;
+    let timings = timingsByContext.get(contextValue);
+    if (!timings) {
+      timings = recorder.timings();
+      timingsByContext.set(contextValue, timings);
+    }
+    return timings;
+  }
+
+  // Envelop has no per-field hook; wrap the schema's resolvers instead
+  function wrapResolvers(schema) {
+    const rootTypes = [
+      schema.getQueryType?.(),
+      schema.getMutationType?.(),
+      schema.getSubscriptionType?.(),
+    ];
+    const types =
+      recorder.resolvers === "all"
+        ? Object.values(schema.getTypeMap()).filter(
+            (type) => !type.name.startsWith("__") && type.getFields
+          )
+        : rootTypes;
+
+    for (const type of types) {
+      if (!type?.getFields || typeof type.getInterfaces !== "function") {
+        continue;
+      }
+      for (const field of Object.values(type.getFields())) {
+        const resolve = field.resolve;
+        if (!resolve || resolve[WRAPPED]) continue;
+        field.resolve = function (parent, args, contextValue, info) {
+          const timings = recorder.times(info) && timingsFor(contextValue);
+          if (!timings)
+            return resolve.call(this, parent, args, contextValue, info);
+          const began = process.hrtime.bigint();
+          const done = () => timings.add(info, began);
+          const result = resolve.call(this, parent, args, contextValue, info);
+          if (typeof result?.then === "function") {
+            result.then(done, done);
+          } else {
+            done();
+          }
+          return result;
+        };
+        field.resolve[WRAPPED] = true;
+      }
+    }
+  }
+
+  function observe(args) {
+    const start = process.hrtime.bigint();
+    const req = recorder.requestOf(args.contextValue);
+    return (errors) =>
+      recorder.record({
+        req,
+        document: args.document,
+        operationName: args.operationName,
+        variables: args.variableValues,
+        errors,
+        start,
+        timings: timingsByContext.get(args.contextValue),
+      });
+  }
+
+  return {
+    onSchemaChange({ schema }) {
+      if (recorder.resolvers) wrapResolvers(schema);
+    },
+
+    // Invalid documents never reach execution
+    onValidate({ params, context }) {
+      return ({ result }) => {
+        if (!result?.length) return;
+        const start = process.hrtime.bigint();
+        recorder.record({
+          req: recorder.requestOf(context),
+          document: params.documentAST,
+          errors: result,
+          start,
+        });
+      };
+    },
+
+    onExecute({ args }) {
+      const done = observe(args);
+      return {
+        onExecuteDone({ result }) {
+          // Incremental delivery (@defer/@stream) is recorded as it starts
+          done(isAsyncIterable(result) ? undefined : result.errors);
+        },
+      };
+    },
+
+    onSubscribe({ args }) {
+      const done = observe(args);
+      return {
+        onSubscribeResult({ result }) {
+          done(isAsyncIterable(result) ? undefined : result.errors);
+        },
+        onSubscribeError({ error }) {
+          done([error]);
+        },
+      };
+    },
+  };
+}
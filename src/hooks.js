@@ -0,0 +1,99 @@
+/**
+ * A `beforeSend` hook: a function, or an object naming it and
+ * overriding the timeout
+ *
+ * @typedef {((event: object, context: { req: object|null }) => object|null|false|void|Promise<object|null|false|void>)|{ name?: string, hook: Function, timeoutMs?: number }} BeforeSendHook
+ */
+
+function normalizeHook(spec, index) {
+  const hook = typeof spec === "function" ? { hook: spec } : spec;
+  if (!hook || typeof hook.hook !== "function") {
+    throw new Error(`beforeSend hook ${index} is not a function`);
+  }
+  return {
+    name: hook.name ?? (hook.hook.name || `#${index}`),
+    hook: hook.hook,
+    timeoutMs: hook.timeoutMs,
+  };
+}
+
+function withTimeout(promise, timeoutMs, name) {
+  if (!timeoutMs) return promise;
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`beforeSend hook ${name} timed out`)),
+      timeoutMs
+    );
+    timer.unref?.();
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Deep copy of the plain objects and arrays in an event. Other values
+ * (dates aside) are shared: class instances and functions cannot be
+ * copied faithfully, and events rarely hold them.
+ * @param {*} value
+ * @param {Map} [seen] - Copies made so far, for cycles
+ * @returns {*}
+ */
+function clonePlain(value, seen = new Map()) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (!value || typeof value !== "object") return value;
+  const isArray = Array.isArray(value);
+  const proto = Object.getPrototypeOf(value);
+  if (!isArray && proto !== Object.prototype && proto !== null) return value;
+  if (seen.has(value)) return seen.get(value);
+
+  const copy = isArray ? [] : {};
+  seen.set(value, copy);
+  for (const key of Object.keys(value)) {
+    copy[key] = clonePlain(value[key], seen);
+  }
+  return copy;
+}
+
+/**
+ * Run `beforeSend` hooks in order. Each hook receives a deep copy of the event
+ * and returns the event to continue with: nothing keeps its changes to the
+ * copy, `null` or `false` drops the event. A hook that throws, times out
+ * or returns something else is skipped, and the event continues as it was
+ * before that hook.
+ *
+ * @param {BeforeSendHook|BeforeSendHook[]} hooks
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Default time limit per hook, 0 for none (default: 1000)
+ * @param {function} [options.onError] - Called with hook failures
+ * @returns {(event: object, context: { req: object|null }) => Promise<object|null>}
+ */
+export function createHookPipeline(hooks, { timeoutMs = 1000, onError } = {}) {
+  const pipeline = [].concat(hooks).map(normalizeHook);
+
+  return async function runHooks(event, context) {
+    let current = event;
+    for (const { name, hook, timeoutMs: limit = timeoutMs } of pipeline) {
+      // Deep, so a skipped hook cannot have changed nested objects
+      const copy = clonePlain(current);
+      try {
+        const result = await withTimeout(
+          Promise.resolve().then(() => hook(copy, context)),
+          limit,
+          name
+        );
+        if (result === null || result === false) return null;
+        if (result === undefined) {
+          current = copy;
+        } else if (typeof result === "object" && !Array.isArray(result)) {
+          current = result;
+        } else {
+          throw new Error(`beforeSend hook ${name} returned ${typeof result}`);
+        }
+      } catch (err) {
+        console.warn(`Audit beforeSend hook ${name} failed:`, err.message);
+        onError?.(err);
+      }
+    }
+    return current;
+  };
+}
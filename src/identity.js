@@ -0,0 +1,274 @@
+import {
+  constants,
+  createHmac,
+  createPublicKey,
+  KeyObject,
+  timingSafeEqual,
+  verify,
+} from "crypto";
+import { readFileSync } from "fs";
+
+export {
+  ANONYMOUS,
+  createIdentityResolver,
+  headerUserResolver,
+} from "./resolvers.js";
+
+/**
+ * Who made a request.
+ *
+ * @typedef {object} AuditIdentity
+ * @property {string} userId
+ * @property {string} [tenantId]
+ * @property {string[]} [roles]
+ * @property {string} authMethod - e.g. 'jwt', 'session', 'header', 'none'
+ */
+
+const HMAC_ALGS = { HS256: "sha256", HS384: "sha384", HS512: "sha512" };
+const KEY_ALGS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", saltLength: 32 },
+  PS384: { hash: "sha384", saltLength: 48 },
+  PS512: { hash: "sha512", saltLength: 64 },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+  EdDSA: { hash: null },
+};
+
+function headerValue(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function toRoles(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === "string" && value) return value.split(/[\s,]+/);
+  return undefined;
+}
+
+function readPath(object, path) {
+  return String(path)
+    .split(".")
+    .reduce((value, key) => value?.[key], object);
+}
+
+function loadJwks(jwks, jwksFile) {
+  const set = jwks || JSON.parse(readFileSync(jwksFile, "utf8"));
+  return (set.keys || []).map((jwk) => ({
+    kid: jwk.kid,
+    alg: jwk.alg,
+    key: createPublicKey({ key: jwk, format: "jwk" }),
+  }));
+}
+
+/**
+ * Verify a compact JWT and return its claims
+ * @param {string} token
+ * @param {object} options
+ * @param {string|Buffer} [options.secret] - Shared secret for HS* tokens
+ * @param {string|Buffer|KeyObject} [options.publicKey] - Public key (PEM or KeyObject) for RS/PS/ES/EdDSA tokens
+ * @param {Array<{ kid?: string, alg?: string, key: KeyObject }>} [options.keys] - Keys loaded from a JWKS
+ * @param {string[]} [options.algorithms] - Accepted algorithms
+ * @param {string|string[]} [options.issuer] - Required `iss`
+ * @param {string|string[]} [options.audience] - Required `aud` (any match)
+ * @param {number} [options.clockToleranceSec] - Leeway for `exp` / `nbf` (default: 30)
+ * @returns {object} Claims
+ */
+export function verifyJwt(
+  token,
+  {
+    secret,
+    publicKey,
+    keys = [],
+    algorithms,
+    issuer,
+    audience,
+    clockToleranceSec = 30,
+  }
+) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) {
+    throw new Error("Malformed JWT");
+  }
+
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = decodeSegment(headerPart);
+  const claims = decodeSegment(payloadPart);
+  const { alg, kid } = header;
+
+  if (algorithms && !algorithms.includes(alg)) {
+    throw new Error(`JWT algorithm ${alg} is not allowed`);
+  }
+
+  const signingInput = Buffer.from(`${headerPart}.${payloadPart}`);
+  const signature = Buffer.from(signaturePart, "base64url");
+  let valid = false;
+
+  if (HMAC_ALGS[alg]) {
+    // Only accept HMAC with a shared secret, never with a public key
+    if (!secret) throw new Error(`No secret configured for ${alg}`);
+    const expected = createHmac(HMAC_ALGS[alg], secret)
+      .update(signingInput)
+      .digest();
+    valid =
+      expected.length === signature.length &&
+      timingSafeEqual(expected, signature);
+  } else if (KEY_ALGS[alg]) {
+    const candidates = keys.filter(
+      (entry) =>
+        (!kid || entry.kid === kid) && (!entry.alg || entry.alg === alg)
+    );
+    if (publicKey) {
+      candidates.push({
+        key:
+          publicKey instanceof KeyObject
+            ? publicKey
+            : createPublicKey(publicKey),
+      });
+    }
+    if (!candidates.length) throw new Error(`No key configured for ${alg}`);
+
+    const { hash, saltLength, dsaEncoding } = KEY_ALGS[alg];
+    const keyOptions = {
+      ...(saltLength && {
+        padding: constants.RSA_PKCS1_PSS_PADDING,
+        saltLength,
+      }),
+      ...(dsaEncoding && { dsaEncoding }),
+    };
+    valid = candidates.some(({ key }) =>
+      verify(hash, signingInput, { key, ...keyOptions }, signature)
+    );
+  } else {
+    throw new Error(`Unsupported JWT algorithm: ${alg}`);
+  }
+
+  if (!valid) {
+    throw new Error("Invalid JWT signature");
+  }
+
+  const now = Date.now() / 1000;
+  const { exp, nbf } = claims;
+  if (typeof exp === "number" && now > exp + clockToleranceSec) {
+    throw new Error("JWT has expired");
+  }
+  if (typeof nbf === "number" && now < nbf - clockToleranceSec) {
+    throw new Error("JWT is not valid yet");
+  }
+  if (issuer && ![].concat(issuer).includes(claims.iss)) {
+    throw new Error("JWT issuer is not accepted");
+  }
+  if (audience) {
+    const accepted = [].concat(audience);
+    if (![].concat(claims.aud).some((aud) => accepted.includes(aud))) {
+      throw new Error("JWT audience is not accepted");
+    }
+  }
+  return claims;
+}
+
+/**
+ * Resolve the user from a verified `Authorization: Bearer` JWT
+ * @param {object} options - See `verifyJwt`, plus:
+ * @param {string} [options.jwksFile] - Path to a local JWKS JSON file
+ * @param {object} [options.jwks] - JWKS object (`{ keys: [...] }`)
+ * @param {string} [options.header] - Header holding the token (default: 'authorization')
+ * @param {object} [options.claims] - Claim names for userId, tenantId and roles
+ *   (default: { userId: 'sub', tenantId: 'tid', roles: 'roles' })
+ * @returns {(req: object) => AuditIdentity|null}
+ */
+export function jwtUserResolver({
+  jwksFile,
+  jwks,
+  header = "authorization",
+  claims: claimNames = {},
+  ...verifyOptions
+}) {
+  const names = {
+    userId: "sub",
+    tenantId: "tid",
+    roles: "roles",
+    ...claimNames,
+  };
+  const keys = jwks || jwksFile ? loadJwks(jwks, jwksFile) : [];
+
+  if (!verifyOptions.secret && !verifyOptions.publicKey && !keys.length) {
+    throw new Error("jwtUserResolver needs a secret, publicKey or JWKS");
+  }
+  if (!verifyOptions.algorithms) {
+    verifyOptions.algorithms = verifyOptions.secret
+      ? Object.keys(HMAC_ALGS)
+      : Object.keys(KEY_ALGS);
+  }
+
+  return (req) => {
+    const value = headerValue(req.headers, header);
+    const match =
+      typeof value === "string" && value.match(/^Bearer\s+(\S+)$/i);
+    if (!match) return null;
+
+    let claims;
+    try {
+      claims = verifyJwt(match[1], { ...verifyOptions, keys });
+    } catch {
+      // Expired or forged tokens are common; the request is simply unauthenticated
+      return null;
+    }
+    const userId = readPath(claims, names.userId);
+    if (userId === undefined || userId === null) return null;
+
+    return {
+      userId: String(userId),
+      tenantId: readPath(claims, names.tenantId),
+      roles: toRoles(readPath(claims, names.roles) ?? claims.scope),
+      authMethod: "jwt",
+    };
+  };
+}
+
+/**
+ * Resolve the user an auth middleware already attached to the request:
+ * `req.user` (Passport, @fastify/jwt, @fastify/passport, NestJS guards),
+ * `ctx.state.user` (koa-jwt, koa-passport) when given a Koa context, or
+ * `request.auth.credentials` for Hapi.
+ * @param {object} [options]
+ * @param {string} [options.property] - Property holding the user (default: 'user')
+ * @param {string[]} [options.idFields] - Fields tried for the id (default: ['id', '_id', 'sub', 'userId'])
+ * @param {string} [options.tenantField] - Field holding the tenant (default: 'tenantId')
+ * @param {string} [options.rolesField] - Field holding the roles (default: 'roles')
+ * @param {string} [options.authMethod] - Recorded auth method (default: 'session')
+ * @returns {(req: object) => AuditIdentity|null}
+ */
+export function requestUserResolver({
+  property = "user",
+  idFields = ["id", "_id", "sub", "userId"],
+  tenantField = "tenantId",
+  rolesField = "roles",
+  authMethod = "session",
+} = {}) {
+  return (req) => {
+    const user =
+      req[property] ??
+      req.state?.[property] ??
+      req.raw?.[property] ??
+      req.auth?.credentials;
+    if (!user || typeof user !== "object") return null;
+
+    const field = idFields.find((name) => user[name] != null);
+    if (!field) return null;
+
+    return {
+      userId: String(user[field]),
+      tenantId: user[tenantField],
+      roles: toRoles(user[rolesField]),
+      authMethod,
+    };
+  };
+}
@@ -0,0 +1,267 @@
+import {
+  createHash,
+  createHmac,
+  createPrivateKey,
+  createPublicKey,
+  KeyObject,
+  randomUUID,
+  sign,
+  timingSafeEqual,
+  verify,
+} from "crypto";
+
+const INTEGRITY_FIELDS = ["hash", "signature"];
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the same event
+ * always hashes the same no matter how it was built or parsed.
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  return JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value))));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * SHA-256 of an event, excluding its own hash and signature
+ * @param {object} event
+ * @returns {string} Hex digest
+ */
+export function hashAuditEvent(event) {
+  const content = { ...event };
+  for (const field of INTEGRITY_FIELDS) {
+    delete content[field];
+  }
+  return createHash("sha256").update(canonicalJson(content)).digest("hex");
+}
+
+function hmac(secret, hash) {
+  return createHmac("sha256", secret).update(hash).digest("base64");
+}
+
+/**
+ * Stamp events with a sequence number, the previous event's hash, their own
+ * hash and a signature. Use one chain per process; `chainId` tells chains
+ * from different processes apart.
+ *
+ * @param {object} options
+ * @param {string|Buffer} [options.secret] - HMAC-SHA256 key
+ * @param {string|Buffer|import("crypto").KeyObject} [options.privateKey] - Ed25519 private key
+ * @param {string} [options.chainId] - Chain identifier (default: random UUID)
+ */
+export function createEventChain({
+  secret,
+  privateKey,
+  chainId = randomUUID(),
+}) {
+  if (!secret && !privateKey) {
+    throw new Error("integrity requires a secret or an Ed25519 privateKey");
+  }
+
+  let key = null;
+  if (privateKey) {
+    key =
+      privateKey instanceof KeyObject
+        ? privateKey
+        : createPrivateKey(privateKey);
+  }
+  if (key && key.asymmetricKeyType !== "ed25519") {
+    throw new Error("integrity privateKey must be an Ed25519 key");
+  }
+  const signatureAlg = key ? "ed25519" : "hmac-sha256";
+
+  let seq = 0;
+  let prevHash = null;
+
+  /**
+   * Add integrity fields to an event; call in the order events are emitted
+   * @param {object} event
+   * @returns {object}
+   */
+  function seal(event) {
+    const linked = {
+      ...event,
+      chainId,
+      seq: ++seq,
+      prevHash,
+      signatureAlg,
+    };
+    const hash = hashAuditEvent(linked);
+    const signature = key
+      ? sign(null, Buffer.from(hash), key).toString("base64")
+      : hmac(secret, hash);
+
+    prevHash = hash;
+    return { ...linked, hash, signature };
+  }
+
+  return { chainId, seal };
+}
+
+function algorithmOf(key) {
+  if (key instanceof KeyObject) {
+    return key.type === "secret" ? "hmac-sha256" : "ed25519";
+  }
+  return String(key).includes("-----BEGIN") ? "ed25519" : "hmac-sha256";
+}
+
+/**
+ * Signature check for the algorithm `key` stands for. The algorithm comes
+ * from the verifier's key, never from the events: otherwise a forger could
+ * pick HMAC and use a public key as the secret.
+ */
+function createSignatureCheck(key, alg = algorithmOf(key)) {
+
+  if (alg === "ed25519") {
+    const publicKey =
+      key instanceof KeyObject && key.type === "public"
+        ? key
+        : createPublicKey(key);
+    if (publicKey.asymmetricKeyType !== "ed25519") {
+      throw new Error("verifyAuditChain needs an Ed25519 public key");
+    }
+    return {
+      alg,
+      check: (hash, signature) => {
+        try {
+          return verify(null, Buffer.from(hash), publicKey, signature);
+        } catch {
+          return false;
+        }
+      },
+    };
+  }
+  if (alg === "hmac-sha256") {
+    if (key instanceof KeyObject && key.type !== "secret") {
+      throw new Error("verifyAuditChain needs a secret key for HMAC");
+    }
+    return {
+      alg,
+      check: (hash, signature) => {
+        const expected = Buffer.from(hmac(key, hash), "base64");
+        return (
+          expected.length === signature.length &&
+          timingSafeEqual(expected, signature)
+        );
+      },
+    };
+  }
+  throw new Error(`Unknown integrity algorithm: ${alg}`);
+}
+
+/**
+ * Verify hash-chained audit events, in the order they are given.
+ * Events from several chains are checked per `chainId`.
+ *
+ * Reported problem types:
+ * - `modified`: the content no longer matches its hash
+ * - `invalid_signature`: the hash was not signed with `key`, or with
+ *   another algorithm than the one `key` is for
+ * - `gap`: sequence numbers are missing
+ * - `reordered`: a sequence number lower than one already seen
+ * - `duplicate`: a sequence number seen before
+ * - `broken_link`: `prevHash` does not match the preceding event
+ *
+ * @param {object[]} events
+ * @param {string|Buffer|import("crypto").KeyObject} key - HMAC secret or Ed25519 public key
+ * @param {object} [options]
+ * @param {"hmac-sha256"|"ed25519"} [options.algorithm] - Expected algorithm (default: Ed25519 for a PEM
+ *   string or an asymmetric KeyObject, HMAC-SHA256 otherwise)
+ * @param {boolean} [options.partial] - Events may start mid-chain (skip the check that seq starts at 1)
+ * @param {number} [options.lastSeq] - Expected final seq, to detect truncation at the end
+ * @returns {{ valid: boolean, checked: number, errors: Array<{ type: string, index: number, chainId: string, seq: number, message: string }> }}
+ */
+export function verifyAuditChain(
+  events,
+  key,
+  { partial = false, lastSeq, algorithm } = {}
+) {
+  const signatures = createSignatureCheck(key, algorithm);
+  const errors = [];
+  const chains = new Map();
+
+  events.forEach((event, index) => {
+    const { chainId, seq } = event;
+    const report = (type, message) =>
+      errors.push({ type, index, chainId, seq, message });
+
+    if (hashAuditEvent(event) !== event.hash) {
+      report("modified", `Event ${seq} does not match its hash`);
+    } else if (event.signatureAlg !== signatures.alg) {
+      report(
+        "invalid_signature",
+        `Event ${seq} is signed with ${event.signatureAlg}, expected ${signatures.alg}`
+      );
+    } else if (
+      !signatures.check(
+        event.hash,
+        Buffer.from(String(event.signature || ""), "base64")
+      )
+    ) {
+      report("invalid_signature", `Event ${seq} has an invalid signature`);
+    }
+
+    let chain = chains.get(chainId);
+    if (!chain) {
+      chain = { last: null, seen: new Set() };
+      chains.set(chainId, chain);
+      if (!partial && seq !== 1) {
+        report(
+          "gap",
+          `Chain starts at ${seq}, events 1-${seq - 1} are missing`
+        );
+      }
+    }
+
+    const { last } = chain;
+    if (chain.seen.has(seq)) {
+      report("duplicate", `Event ${seq} appears more than once`);
+    } else if (last && seq < last.seq) {
+      report("reordered", `Event ${seq} appears after event ${last.seq}`);
+    } else if (last && seq > last.seq + 1) {
+      report(
+        "gap",
+        `Events ${last.seq + 1}-${seq - 1} are missing before event ${seq}`
+      );
+    } else if (last && seq === last.seq + 1 && event.prevHash !== last.hash) {
+      report("broken_link", `Event ${seq} does not link to event ${last.seq}`);
+    } else if (!last && seq === 1 && event.prevHash !== null) {
+      report("broken_link", "Event 1 should not link to a previous event");
+    }
+
+    chain.seen.add(seq);
+    if (!last || seq > last.seq) {
+      chain.last = event;
+    }
+  });
+
+  if (lastSeq !== undefined) {
+    for (const [chainId, chain] of chains) {
+      if (chain.last.seq < lastSeq) {
+        errors.push({
+          type: "gap",
+          index: events.length,
+          chainId,
+          seq: lastSeq,
+          message: `Events ${chain.last.seq + 1}-${lastSeq} are missing at the end`,
+        });
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, checked: events.length, errors };
+}
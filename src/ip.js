@@ -0,0 +1,217 @@
+import { isIP } from "net";
+
+/** Named ranges usable in `trustProxy`, same names as Express */
+export const NAMED_RANGES = {
+  loopback: ["127.0.0.0/8", "::1/128"],
+  linklocal: ["169.254.0.0/16", "fe80::/10"],
+  uniquelocal: ["10.0.0.0/8", "172.16.0.0/12", "192.168.0.0/16", "fc00::/7"],
+};
+
+/**
+ * Single-address headers CDNs and proxies set. None is read by default:
+ * any client can send them, so only list one in `ipHeaders` behind the
+ * CDN that overwrites it.
+ */
+export const CDN_IP_HEADERS = [
+  "cf-connecting-ip",
+  "true-client-ip",
+  "fastly-client-ip",
+  "x-real-ip",
+];
+
+/**
+ * Normalise an address: strip ports, brackets and the IPv4-mapped IPv6 prefix
+ * @param {string} value
+ * @returns {string|null} The address, or null if it is not an IP
+ */
+export function normalizeIp(value) {
+  if (typeof value !== "string") return null;
+
+  let ip = value.trim().replace(/^"|"$/g, "");
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    ip = bracketed[1];
+  } else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(ip)) {
+    ip = ip.replace(/:\d+$/, "");
+  }
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    ip = mapped[1];
+  }
+
+  // Drop IPv6 zone ids such as fe80::1%eth0
+  ip = ip.replace(/%.*$/, "");
+  return isIP(ip) ? ip : null;
+}
+
+function toBigInt(ip) {
+  if (isIP(ip) === 4) {
+    return ip
+      .split(".")
+      .reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+  }
+
+  const [head, tail = ""] = ip.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  // An embedded IPv4 tail counts as two groups
+  const expand = (parts) =>
+    parts.flatMap((part) => {
+      if (!part.includes(".")) return [part];
+      const n = toBigInt(part);
+      return [(n >> 16n).toString(16), (n & 0xffffn).toString(16)];
+    });
+  const headGroups = expand(headParts);
+  const tailGroups = expand(tailParts);
+  const fill = ip.includes("::")
+    ? Array(8 - headGroups.length - tailGroups.length).fill("0")
+    : [];
+
+  return [...headGroups, ...fill, ...tailGroups].reduce(
+    (acc, group) => (acc << 16n) + BigInt(parseInt(group || "0", 16)),
+    0n
+  );
+}
+
+/**
+ * Parse a CIDR (or bare address) into a matcher
+ * @param {string} cidr
+ * @returns {(ip: string) => boolean}
+ */
+export function compileCidr(cidr) {
+  const [address, prefix] = cidr.split("/");
+  const version = isIP(address);
+  if (!version) {
+    throw new Error(`Invalid IP range: ${cidr}`);
+  }
+
+  const bits = version === 4 ? 32 : 128;
+  const length = prefix === undefined ? bits : Number(prefix);
+  const shift = BigInt(bits - length);
+  const network = toBigInt(address) >> shift;
+
+  return (ip) =>
+    isIP(ip) === version && toBigInt(ip) >> shift === network;
+}
+
+/**
+ * Build a matcher for a list of CIDRs and named ranges
+ * @param {string|string[]} ranges
+ * @returns {(ip: string) => boolean}
+ */
+export function compileRanges(ranges) {
+  const matchers = []
+    .concat(ranges)
+    .flatMap((range) => String(range).split(","))
+    .map((range) => range.trim())
+    .flatMap((range) => NAMED_RANGES[range] || [range])
+    .map(compileCidr);
+  return (ip) => matchers.some((match) => match(ip));
+}
+
+/**
+ * Turn a `trustProxy` option into a `(ip, hop) => boolean` function.
+ * `hop` is 0 for the socket peer and grows towards the client.
+ * @param {boolean|number|string|string[]|function} trustProxy
+ * @returns {(ip: string, hop: number) => boolean}
+ */
+export function compileTrust(trustProxy) {
+  if (typeof trustProxy === "function") return trustProxy;
+  if (trustProxy === true) return () => true;
+  if (!trustProxy) return () => false;
+  if (typeof trustProxy === "number") return (ip, hop) => hop < trustProxy;
+
+  const inRanges = compileRanges(trustProxy);
+  return (ip) => inRanges(ip);
+}
+
+/**
+ * Parse an RFC 7239 `Forwarded` header into its `for=` addresses.
+ * Obfuscated or unknown nodes are kept as null so hop counts stay right.
+ * @param {string} header
+ * @returns {Array<string|null>}
+ */
+export function parseForwardedHeader(header) {
+  return String(header)
+    .split(",")
+    .map((element) => {
+      const pair = element
+        .split(";")
+        .map((part) => part.trim())
+        .find((part) => part.toLowerCase().startsWith("for="));
+      return pair ? normalizeIp(pair.slice(4)) : null;
+    });
+}
+
+function headerValue(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value.join(",") : value;
+}
+
+/**
+ * Resolve the client address of a request.
+ *
+ * The socket peer is used unless it is trusted. For a trusted peer, CDN
+ * headers are checked first, then the `Forwarded` header (or
+ * `X-Forwarded-For` when there is none) is walked right to left and the
+ * first address that is not trusted is taken as the client.
+ *
+ * @param {object} req - Node request, or a framework request wrapping one
+ * @param {object} [options]
+ * @param {boolean|number|string|string[]|function} [options.trustProxy] - Which proxies to trust (default: false)
+ * @param {string[]} [options.ipHeaders] - Single-address headers to trust from a trusted peer (default: none)
+ * @returns {{ ip: string, source: string }}
+ */
+export function resolveClientIp(
+  req,
+  { trustProxy = false, ipHeaders = [] } = {}
+) {
+  const trust = compileTrust(trustProxy);
+  const headers = req.headers || {};
+
+  const socketIp = normalizeIp(
+    req.socket?.remoteAddress || req.connection?.remoteAddress
+  );
+  if (!socketIp) {
+    const fallback = normalizeIp(req.ip);
+    return fallback
+      ? { ip: fallback, source: "framework" }
+      : { ip: "unknown", source: "unknown" };
+  }
+
+  if (!trust(socketIp, 0)) {
+    return { ip: socketIp, source: "socket" };
+  }
+
+  for (const name of ipHeaders) {
+    const ip = normalizeIp(headerValue(headers, name));
+    if (ip) {
+      return { ip, source: name };
+    }
+  }
+
+  const forwarded = headerValue(headers, "forwarded");
+  const xff = headerValue(headers, "x-forwarded-for");
+  let source;
+  let chain;
+  if (forwarded) {
+    source = "forwarded";
+    chain = parseForwardedHeader(forwarded);
+  } else if (xff) {
+    source = "x-forwarded-for";
+    chain = xff.split(",").map(normalizeIp);
+  } else {
+    return { ip: socketIp, source: "socket" };
+  }
+
+  let client = { ip: socketIp, source: "socket" };
+  for (let i = chain.length - 1, hop = 1; i >= 0; i--, hop++) {
+    const ip = chain[i];
+    // An unparseable hop cannot be vouched for, so stop at the last good one
+    if (!ip) break;
+    client = { ip, source };
+    if (!trust(ip, hop)) break;
+  }
+  return client;
+}
@@ -0,0 +1,42 @@
+/**
+ * Small LRU cache on top of Map insertion order
+ * @param {object} [options]
+ * @param {number} [options.max] - Max entries kept (default: 1000)
+ * @param {number} [options.ttlMs] - Entry lifetime in ms (default: no expiry)
+ */
+export function createLruCache({ max = 1000, ttlMs = 0 } = {}) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (ttlMs && Date.now() - entry.at > ttlMs) {
+      entries.delete(key);
+      return undefined;
+    }
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, at: Date.now() });
+    if (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    has: (key) => get(key) !== undefined,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Compile a path glob: `*` matches within one segment, `**` across segments
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "/**" also matches the bare parent path
+      if (source.endsWith("/")) {
+        source = source.slice(0, -1) + "(?:/.*)?";
+      } else {
+        source += ".*";
+      }
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a path matcher from globs, regular expressions and functions
+ * @param {string|RegExp|function|Array} patterns
+ * @returns {(path: string) => boolean}
+ */
+export function compilePathMatcher(patterns) {
+  const matchers = [].concat(patterns ?? []).map((pattern) => {
+    if (typeof pattern === "function") return pattern;
+    const regex = pattern instanceof RegExp ? pattern : globToRegExp(pattern);
+    return (path) => regex.test(path);
+  });
+  return (path) => matchers.some((match) => match(path));
+}
+
+/**
+ * Path of a URL without its query string or fragment
+ * @param {string} url
+ * @returns {string}
+ */
+export function pathOf(url) {
+  return String(url ?? "").split(/[?#]/)[0] || "/";
+}
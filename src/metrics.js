@@ -0,0 +1,220 @@
+import { performance } from "perf_hooks";
+
+/**
+ * Counters and histograms describing the SDK's own delivery: how many
+ * events were recorded, sent, retried, spooled or lost.
+ */
+
+const LATENCY_BUCKETS_MS = [
+  5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000,
+];
+const SIZE_BUCKETS_BYTES = [256, 1024, 4096, 16384, 65536, 262144, 1048576];
+
+export const PROMETHEUS_CONTENT_TYPE =
+  "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * Histogram with fixed upper bounds
+ * @param {number[]} bounds - Ascending bucket upper bounds
+ */
+function createHistogram(bounds) {
+  const counts = bounds.map(() => 0);
+  let count = 0;
+  let sum = 0;
+  let max = 0;
+
+  return {
+    observe(value) {
+      count++;
+      sum += value;
+      if (value > max) max = value;
+      const index = bounds.findIndex((bound) => value <= bound);
+      if (index !== -1) counts[index]++;
+    },
+    /** Cumulative bucket counts, as Prometheus expects them */
+    snapshot() {
+      let cumulative = 0;
+      return {
+        count,
+        sum,
+        max,
+        buckets: bounds.map((le, i) => ({
+          le,
+          count: (cumulative += counts[i]),
+        })),
+      };
+    },
+  };
+}
+
+/**
+ * Delivery metrics of one audit server
+ * @returns {object}
+ */
+export function createAuditMetrics() {
+  const counters = {
+    emitted: 0,
+    filtered: 0,
+    sent: 0,
+    dropped: 0,
+    retried: 0,
+    spooled: 0,
+    sendFailures: 0,
+  };
+  const sendLatency = createHistogram(LATENCY_BUCKETS_MS);
+  const payloadBytes = createHistogram(SIZE_BUCKETS_BYTES);
+
+  function count(name, by = 1) {
+    counters[name] += by;
+  }
+
+  /**
+   * Wrap a transport to time sends and count their outcome. Undelivered
+   * events are spooled when the spool took them, dropped otherwise.
+   * @param {import("./transports.js").AuditTransport} transport
+   * @returns {import("./transports.js").AuditTransport}
+   */
+  function instrument(transport) {
+    async function send(events, options) {
+      const started = performance.now();
+      payloadBytes.observe(Buffer.byteLength(JSON.stringify(events)));
+      try {
+        await transport.send(events, options);
+      } catch (err) {
+        const failed = (err.undelivered ?? events).length;
+        counters.sendFailures++;
+        counters.sent += events.length - failed;
+        counters[err.spooled ? "spooled" : "dropped"] += failed;
+        throw err;
+      } finally {
+        sendLatency.observe(performance.now() - started);
+      }
+      counters.sent += events.length;
+    }
+
+    return {
+      ...transport,
+      send,
+      flush: () => transport.flush?.(),
+      close: () => transport.close?.(),
+    };
+  }
+
+  /**
+   * Current values
+   * @param {object} [gauges] - Point-in-time values such as `queueDepth`
+   */
+  function snapshot(gauges = {}) {
+    return {
+      events: { ...counters },
+      ...gauges,
+      sendLatencyMs: sendLatency.snapshot(),
+      payloadBytes: payloadBytes.snapshot(),
+    };
+  }
+
+  return { count, instrument, snapshot };
+}
+
+/**
+ * Render `getStats()` in the Prometheus text exposition format
+ * @param {object} stats
+ * @param {object} [options]
+ * @param {string} [options.prefix] - Metric name prefix (default: 'triostack_audit_')
+ * @returns {string}
+ */
+export function formatPrometheus(stats, { prefix = "triostack_audit_" } = {}) {
+  const lines = [];
+
+  function metric(name, type, help, samples) {
+    lines.push(
+      `# HELP ${prefix}${name} ${help}`,
+      `# TYPE ${prefix}${name} ${type}`
+    );
+    for (const [suffix, labels, value] of samples) {
+      lines.push(`${prefix}${name}${suffix}${labels} ${value}`);
+    }
+  }
+
+  function histogram(name, help, snapshot, divisor) {
+    metric(name, "histogram", help, [
+      ...snapshot.buckets.map(({ le, count }) => [
+        "_bucket",
+        `{le="${le / divisor}"}`,
+        count,
+      ]),
+      ["_bucket", '{le="+Inf"}', snapshot.count],
+      ["_sum", "", snapshot.sum / divisor],
+      ["_count", "", snapshot.count],
+    ]);
+  }
+
+  const { events } = stats;
+  const counters = [
+    [
+      "events_emitted_total",
+      "Events recorded and handed to delivery",
+      events.emitted,
+    ],
+    [
+      "events_filtered_total",
+      "Events skipped by the policy or a beforeSend hook",
+      events.filtered,
+    ],
+    ["events_sent_total", "Events accepted by the transport", events.sent],
+    [
+      "events_dropped_total",
+      "Events lost: failed sends without a spool, full queue or spool",
+      events.dropped,
+    ],
+    [
+      "events_spooled_total",
+      "Events written to the spool after a failed send",
+      events.spooled,
+    ],
+    ["send_retries_total", "Send attempts retried", events.retried],
+    [
+      "send_failures_total",
+      "Sends that failed after all retries",
+      events.sendFailures,
+    ],
+  ];
+  for (const [name, help, value] of counters) {
+    metric(name, "counter", help, [["", "", value]]);
+  }
+  metric("queue_depth", "gauge", "Events buffered and not yet sent", [
+    ["", "", stats.queueDepth ?? 0],
+  ]);
+  histogram(
+    "send_duration_seconds",
+    "Time per send, including retries",
+    stats.sendLatencyMs,
+    1000
+  );
+  histogram("payload_bytes", "Serialized size per send", stats.payloadBytes, 1);
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Request handler serving metrics in the Prometheus format. Mount it as
+ * a route in Express or node:http `(req, res)`, Fastify `(request, reply)`
+ * or Koa `(ctx)`.
+ * @param {() => object} getStats
+ * @param {object} [options] - See `formatPrometheus`
+ */
+export function createMetricsHandler(getStats, options) {
+  return function metricsHandler(reqOrCtx, res) {
+    const body = formatPrometheus(getStats(), options);
+    // Koa passes (ctx, next)
+    if (reqOrCtx?.request && reqOrCtx?.response && typeof res !== "object") {
+      reqOrCtx.type = PROMETHEUS_CONTENT_TYPE;
+      reqOrCtx.body = body;
+    } else if (res?.raw && typeof res.header === "function") {
+      return res.header("content-type", PROMETHEUS_CONTENT_TYPE).send(body);
+    } else {
+      res.writeHead(200, { "content-type": PROMETHEUS_CONTENT_TYPE });
+      res.end(body);
+    }
+  };
+}
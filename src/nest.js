@@ -0,0 +1,102 @@
+import { createAuditServer, expressRoutePattern } from "./core.js";
+
+/** Property the decorators store the event name under */
+export const AUDIT_EVENT = Symbol.for("triostack.audit.event");
+
+/** Injection token for the audit server provided by `AuditModule` */
+export const AUDIT_SERVER = "TRIOSTACK_AUDIT_SERVER";
+
+// Same value as APP_INTERCEPTOR in @nestjs/core, without importing it
+const APP_INTERCEPTOR = "APP_INTERCEPTOR";
+
+/**
+ * Name the audit event of a controller method or of every method of a
+ * controller: `@AuditEvent('user.update')`
+ * @param {string|false} name - `false` skips auditing
+ */
+export function AuditEvent(name) {
+  return (target, key, descriptor) => {
+    (descriptor ? descriptor.value : target)[AUDIT_EVENT] = name;
+    return descriptor;
+  };
+}
+
+/** Do not audit a controller method or controller: `@SkipAudit()` */
+export function SkipAudit() {
+  return AuditEvent(false);
+}
+
+/**
+ * NestJS interceptor recording every HTTP request it sees, on the
+ * Express or Fastify platform. Register it globally with
+ * `app.useGlobalInterceptors(nestAuditInterceptor(options))`, or use
+ * `AuditModule.forRoot(options)`. The interceptor exposes the audit
+ * server as `auditServer`.
+ *
+ * @param {object|ReturnType<typeof createAuditServer>} options - `createAuditServer` options, or an audit server
+ */
+export function nestAuditInterceptor(options) {
+  const auditServer =
+    typeof options?.observeRequest === "function"
+      ? options
+      : createAuditServer(options);
+
+  return {
+    auditServer,
+
+    intercept(context, next) {
+      const handler = context.getHandler?.();
+      const controller = context.getClass?.();
+      const event = handler?.[AUDIT_EVENT] ?? controller?.[AUDIT_EVENT];
+      if (context.getType?.() !== "http" || event === false) {
+        return next.handle();
+      }
+
+      const http = context.switchToHttp();
+      const req = http.getRequest();
+      const reply = http.getResponse();
+      // Fastify replies wrap the Node response
+      const res = reply.raw ?? reply;
+
+      const { run } = auditServer.observeRequest(req, res, {
+        describe: () => ({
+          routePattern:
+            expressRoutePattern(req) ?? req.routeOptions?.url ?? null,
+          ...(event && { event }),
+        }),
+        label: "NestJS audit",
+      });
+
+      // Handlers run when the observable is subscribed to, after intercept
+      // returns; subscribe inside the request's context so log() sees it
+      const source = next.handle();
+      return new source.constructor((subscriber) =>
+        run(() => source.subscribe(subscriber))
+      );
+    },
+  };
+}
+
+/**
+ * NestJS module registering the interceptor globally and providing the
+ * audit server under `AUDIT_SERVER`:
+ * `imports: [AuditModule.forRoot({ dbUrl })]`, then
+ * `constructor(@Inject(AUDIT_SERVER) audit) {}`
+ */
+export class AuditModule {
+  /**
+   * @param {object} options - `createAuditServer` options
+   */
+  static forRoot(options) {
+    const interceptor = nestAuditInterceptor(options);
+    return {
+      module: AuditModule,
+      global: true,
+      providers: [
+        { provide: AUDIT_SERVER, useValue: interceptor.auditServer },
+        { provide: APP_INTERCEPTOR, useValue: interceptor },
+      ],
+      exports: [AUDIT_SERVER],
+    };
+  }
+}
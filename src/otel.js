@@ -0,0 +1,182 @@
+import { createRequire } from "module";
+import { parseTraceparent } from "./traceparent.js";
+
+const require = createRequire(import.meta.url);
+
+function optionalRequire(name) {
+  try {
+    return require(name);
+  } catch {
+    return null;
+  }
+}
+
+const PRIMITIVES = ["string", "number", "boolean"];
+
+const SEVERITY = {
+  INFO: 9,
+  WARN: 13,
+  ERROR: 17,
+};
+
+function headerValue(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value.join(",") : value;
+}
+
+/**
+ * Flatten an event into OpenTelemetry attributes: nested objects become
+ * dotted keys, values that are not primitives are JSON encoded.
+ * @param {object} event
+ * @param {string} [prefix]
+ * @returns {Record<string, string|number|boolean>}
+ */
+export function toOtelAttributes(event, prefix = "audit.") {
+  const attributes = {};
+
+  function add(key, value) {
+    if (value === null || value === undefined) return;
+    if (PRIMITIVES.includes(typeof value)) {
+      attributes[key] = value;
+    } else if (
+      Array.isArray(value) &&
+      value.every((item) => PRIMITIVES.includes(typeof item))
+    ) {
+      attributes[key] = value;
+    } else if (typeof value === "object" && !Array.isArray(value)) {
+      for (const [child, childValue] of Object.entries(value)) {
+        add(`${key}.${child}`, childValue);
+      }
+    } else {
+      attributes[key] = JSON.stringify(value);
+    }
+  }
+
+  for (const [key, value] of Object.entries(event)) {
+    add(prefix + key, value);
+  }
+  return attributes;
+}
+
+/**
+ * Bridge between audit events and OpenTelemetry. Uses `@opentelemetry/api`
+ * (and `@opentelemetry/api-logs` for log records) when installed, and
+ * falls back to the W3C headers of the request otherwise.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.useActiveContext] - Prefer the active OTel span over headers (default: true)
+ * @param {"log"|"span"|Array<"log"|"span">} [options.emit] - Also emit events as log records and/or span events.
+ *   Adapter request events are recorded once the response is sent, when the request span has usually
+ *   ended; with 'span' they become log records in that span's context instead (needs `@opentelemetry/api-logs`)
+ * @param {string} [options.loggerName] - Logger / instrumentation scope name (default: 'triostack-audit-sdk')
+ * @param {object} [options.api] - `@opentelemetry/api` module, if not resolvable from the SDK
+ * @param {object} [options.logsApi] - `@opentelemetry/api-logs` module, if not resolvable from the SDK
+ */
+export function createOtelBridge({
+  useActiveContext = true,
+  emit = [],
+  loggerName = "triostack-audit-sdk",
+  api = optionalRequire("@opentelemetry/api"),
+  logsApi,
+} = {}) {
+  const targets = new Set([].concat(emit));
+  // Span events fall back to log records once the span has ended
+  if ((targets.has("log") || targets.has("span")) && !logsApi) {
+    logsApi = optionalRequire("@opentelemetry/api-logs");
+  }
+
+  if (targets.has("span") && !api) {
+    console.warn("Audit OTel span events need @opentelemetry/api installed");
+  }
+  if (targets.has("log") && !logsApi) {
+    console.warn(
+      "Audit OTel log records need @opentelemetry/api-logs installed"
+    );
+  }
+
+  /**
+   * Trace context of a request: the active span when there is one,
+   * otherwise the incoming `traceparent` / `tracestate` headers
+   * @param {object} req
+   * @returns {{ traceId: string, spanId: string, traceFlags: number, traceState?: string, span?: object }|null}
+   */
+  function capture(req) {
+    if (api && useActiveContext) {
+      const span = api.trace.getSpan(api.context.active());
+      const spanContext = span?.spanContext();
+      if (spanContext && api.trace.isSpanContextValid(spanContext)) {
+        return {
+          traceId: spanContext.traceId,
+          spanId: spanContext.spanId,
+          traceFlags: spanContext.traceFlags,
+          traceState: spanContext.traceState?.serialize() || undefined,
+          span,
+        };
+      }
+    }
+
+    const headers = req?.headers;
+    const traceparent = parseTraceparent(headerValue(headers, "traceparent"));
+    if (!traceparent) return null;
+
+    const flags = headerValue(headers, "traceparent").trim().slice(-2);
+    return {
+      traceId: traceparent.traceId,
+      spanId: traceparent.parentId,
+      traceFlags: parseInt(flags, 16),
+      traceState: headerValue(headers, "tracestate") || undefined,
+    };
+  }
+
+  function severityOf(event) {
+    if (event.statusCode >= 500) return "ERROR";
+    if (event.statusCode >= 400) return "WARN";
+    return "INFO";
+  }
+
+  /**
+   * Emit a finished audit event to the configured OTel targets
+   * @param {object} event
+   * @param {ReturnType<typeof capture>} traceContext
+   */
+  function record(event, traceContext) {
+    const name = event.event || "audit";
+    const attributes = toOtelAttributes(event);
+
+    const span = traceContext?.span;
+    const onSpan = targets.has("span") && span?.isRecording?.();
+    if (onSpan) {
+      span.addEvent(name, attributes);
+    }
+
+    const asLog =
+      targets.has("log") || (targets.has("span") && span && !onSpan);
+    if (asLog && logsApi) {
+      let context;
+      if (api) {
+        context = api.context.active();
+        const parent =
+          span ||
+          (traceContext &&
+            api.trace.wrapSpanContext({
+              traceId: traceContext.traceId,
+              spanId: traceContext.spanId,
+              traceFlags: traceContext.traceFlags,
+            }));
+        if (parent) context = api.trace.setSpan(context, parent);
+      }
+
+      const severityText = severityOf(event);
+      logsApi.logs.getLogger(loggerName).emit({
+        timestamp: new Date(event.timestamp),
+        severityNumber: SEVERITY[severityText],
+        severityText,
+        body: name,
+        attributes,
+        context,
+      });
+    }
+  }
+
+  return { capture, record, enabled: Boolean(api) };
+}
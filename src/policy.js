@@ -0,0 +1,156 @@
+import { createHash } from "crypto";
+import { compilePathMatcher, pathOf } from "./match.js";
+
+export const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * What a policy decides on
+ * @typedef {object} PolicyInput
+ * @property {string} path - Request path without the query string
+ * @property {string} method
+ * @property {number} [statusCode]
+ * @property {string} [userId]
+ * @property {string} [requestId]
+ */
+
+/**
+ * Match a status code against 404, "4xx", "5xx" or a list of those
+ * @param {number|string|Array} spec
+ * @returns {(statusCode: number) => boolean}
+ */
+function compileStatusMatcher(spec) {
+  const tests = [].concat(spec).map((entry) => {
+    const text = String(entry).toLowerCase();
+    const statusClass = text.match(/^([1-5])xx$/);
+    if (statusClass) {
+      const digit = Number(statusClass[1]);
+      return (code) => Math.floor(code / 100) === digit;
+    }
+    return (code) => code === Number(entry);
+  });
+  return (code) => typeof code === "number" && tests.some((test) => test(code));
+}
+
+/**
+ * Compile one matcher: a glob or regex on the path, a function receiving
+ * the policy input, or `{ route, methods, status }` where every given
+ * field has to match
+ * @param {string|RegExp|function|object} spec
+ * @returns {(input: PolicyInput) => boolean}
+ */
+function compileMatcher(spec) {
+  if (typeof spec === "function") return spec;
+  if (typeof spec === "string" || spec instanceof RegExp) {
+    const matchPath = compilePathMatcher(spec);
+    return (input) => matchPath(input.path);
+  }
+
+  const { route, methods, status } = spec;
+  const matchPath = route ? compilePathMatcher(route) : null;
+  const allowed = methods?.map((method) => method.toUpperCase());
+  const matchStatus = status !== undefined ? compileStatusMatcher(status) : null;
+
+  return (input) =>
+    (!matchPath || matchPath(input.path)) &&
+    (!allowed || allowed.includes(input.method)) &&
+    (!matchStatus || matchStatus(input.statusCode));
+}
+
+function compileMatchers(specs) {
+  const matchers = [].concat(specs ?? []).map(compileMatcher);
+  return matchers.length
+    ? (input) => matchers.some((match) => match(input))
+    : null;
+}
+
+/**
+ * Map a sampling key to a stable number in [0, 1)
+ * @param {string} key
+ * @returns {number}
+ */
+export function sampleBucket(key) {
+  const digest = createHash("sha256").update(String(key)).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Decide which requests are recorded.
+ *
+ * Excluded requests are always dropped. Errors and mutating requests are
+ * kept regardless of the sample rate (unless turned off); everything else
+ * is sampled deterministically, so the same key always gets the same answer.
+ *
+ * @param {object} [options]
+ * @param {Array} [options.include] - Only record requests matching one of these
+ * @param {Array} [options.exclude] - Never record requests matching one of these
+ * @param {number} [options.sampleRate] - Fraction of requests kept (default: 1)
+ * @param {Array<object>} [options.rules] - Per-route rates: `{ route, methods, status, sampleRate }`, first match wins
+ * @param {boolean} [options.keepErrors] - Always keep 4xx/5xx responses (default: true)
+ * @param {boolean} [options.keepMutating] - Always keep POST, PUT, PATCH and DELETE (default: true)
+ * @param {"requestId"|"userId"|function} [options.sampleBy] - Sampling key (default: 'requestId')
+ * @returns {(input: PolicyInput) => { keep: boolean, sampleRate: number }}
+ */
+export function createAuditPolicy({
+  include,
+  exclude,
+  sampleRate = 1,
+  rules = [],
+  keepErrors = true,
+  keepMutating = true,
+  sampleBy = "requestId",
+} = {}) {
+  const included = compileMatchers(include);
+  const excluded = compileMatchers(exclude);
+  const compiledRules = rules.map(({ sampleRate: rate, ...spec }) => ({
+    matches: compileMatcher(spec),
+    sampleRate: rate,
+  }));
+
+  const keyOf =
+    typeof sampleBy === "function"
+      ? sampleBy
+      : sampleBy === "userId"
+        ? // Anonymous traffic has no user to group by; sample it per request
+          (input) =>
+            input.userId && input.userId !== "anonymous"
+              ? input.userId
+              : input.requestId
+        : (input) => input[sampleBy];
+
+  return (input) => {
+    if (included && !included(input)) return { keep: false, sampleRate: 0 };
+    if (excluded?.(input)) return { keep: false, sampleRate: 0 };
+
+    if (keepErrors && input.statusCode >= 400) {
+      return { keep: true, sampleRate: 1 };
+    }
+    if (keepMutating && MUTATING_METHODS.includes(input.method)) {
+      return { keep: true, sampleRate: 1 };
+    }
+
+    const rule = compiledRules.find((r) => r.matches(input));
+    const rate = rule ? rule.sampleRate : sampleRate;
+    if (rate >= 1) return { keep: true, sampleRate: 1 };
+    if (rate <= 0) return { keep: false, sampleRate: 0 };
+
+    const key = keyOf(input);
+    const bucket = key == null ? Math.random() : sampleBucket(key);
+    return { keep: bucket < rate, sampleRate: rate };
+  };
+}
+
+/**
+ * Policy input for a request and the event data tracked for it
+ * @param {object} req
+ * @param {object} data
+ * @returns {PolicyInput}
+ */
+export function policyInput(req, data) {
+  return {
+    path: pathOf(data.route ?? req?.originalUrl ?? req?.url),
+    method: String(data.method ?? req?.method ?? "").toUpperCase(),
+    statusCode: data.statusCode,
+    userId: data.userId,
+    requestId: data.requestId,
+  };
+}
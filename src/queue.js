@@ -0,0 +1,161 @@
+/**
+ * Buffer audit events and hand them to a transport in batches.
+ * A batch is sent once it reaches `maxBatchSize` events or `maxBatchBytes`
+ * of JSON, or when the oldest buffered event has waited `maxLingerMs`.
+ * Batches are sent one at a time so events keep their order.
+ *
+ * @param {object} options
+ * @param {import("./transports.js").AuditTransport} options.transport
+ * @param {number} [options.maxBatchSize] - Max events per batch (default: 100)
+ * @param {number} [options.maxBatchBytes] - Max serialized bytes per batch (default: 1MB)
+ * @param {number} [options.maxLingerMs] - Max time an event waits before sending (default: 1000)
+ * @param {number} [options.maxQueueSize] - Events buffered before new ones are dropped (default: 10000)
+ * @param {function} [options.onError] - Called when a batch fails or an event is dropped
+ */
+export function createDeliveryQueue({
+  transport,
+  maxBatchSize = 100,
+  maxBatchBytes = 1024 * 1024,
+  maxLingerMs = 1000,
+  maxQueueSize = 10000,
+  onError = () => {},
+}) {
+  let buffer = [];
+  let bufferBytes = 0;
+  let timer = null;
+  let inFlight = Promise.resolve();
+  let pendingCount = 0;
+  let closed = false;
+
+  function clearTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function sendBuffer() {
+    clearTimer();
+    if (!buffer.length) return inFlight;
+
+    const batch = buffer;
+    buffer = [];
+    bufferBytes = 0;
+
+    inFlight = inFlight.then(async () => {
+      try {
+        await transport.send(batch);
+      } catch (err) {
+        console.warn("Audit save error:", err.message);
+        onError(err, batch);
+      } finally {
+        pendingCount -= batch.length;
+      }
+    });
+    return inFlight;
+  }
+
+  /**
+   * Add an event to the buffer
+   * @param {object} event
+   * @returns {boolean} false when the event was dropped
+   */
+  function push(event) {
+    if (closed) {
+      onError(new Error("Audit queue is closed, event dropped"), [event]);
+      return false;
+    }
+    if (pendingCount >= maxQueueSize) {
+      onError(new Error("Audit queue is full, event dropped"), [event]);
+      return false;
+    }
+
+    const bytes = Buffer.byteLength(JSON.stringify(event));
+    if (buffer.length && bufferBytes + bytes > maxBatchBytes) {
+      sendBuffer();
+    }
+
+    buffer.push(event);
+    bufferBytes += bytes;
+    pendingCount++;
+
+    if (buffer.length >= maxBatchSize || bufferBytes >= maxBatchBytes) {
+      sendBuffer();
+    } else if (!timer) {
+      timer = setTimeout(sendBuffer, maxLingerMs);
+      timer.unref?.();
+    }
+    return true;
+  }
+
+  /** Send everything buffered and wait until delivered */
+  async function flush() {
+    await sendBuffer();
+    await transport.flush?.();
+  }
+
+  /** Flush, stop accepting events and close the transport */
+  async function close() {
+    if (closed) return inFlight;
+    closed = true;
+    await sendBuffer();
+    await transport.close?.();
+  }
+
+  return {
+    push,
+    flush,
+    close,
+    get size() {
+      return pendingCount;
+    },
+  };
+}
+
+// Queues drained on shutdown; one set of process listeners serves them all
+const shutdownQueues = new Set();
+
+async function onSigterm() {
+  const queues = [...shutdownQueues];
+  shutdownQueues.clear();
+  process.removeListener("SIGTERM", onSigterm);
+  process.removeListener("beforeExit", onBeforeExit);
+  try {
+    await Promise.allSettled(queues.map((queue) => queue.close()));
+  } finally {
+    // Keep Node's default behaviour when nobody else handles SIGTERM
+    if (process.listenerCount("SIGTERM") === 0) {
+      process.kill(process.pid, "SIGTERM");
+    }
+  }
+}
+
+function onBeforeExit() {
+  for (const queue of shutdownQueues) {
+    if (queue.size) {
+      queue.flush().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Drain on SIGTERM and when the event loop empties, so buffered
+ * events are not lost when a process shuts down. All registered queues
+ * share one SIGTERM handler, which closes every one of them before the
+ * signal is raised again.
+ * @param {{ flush(): Promise<void>, close(): Promise<void>, size: number }} queue
+ * @returns {() => void} Removes the handlers again
+ */
+export function registerShutdownHandlers(queue) {
+  if (shutdownQueues.size === 0) {
+    process.on("SIGTERM", onSigterm);
+    process.on("beforeExit", onBeforeExit);
+  }
+  shutdownQueues.add(queue);
+
+  return () => {
+    if (!shutdownQueues.delete(queue) || shutdownQueues.size > 0) return;
+    process.removeListener("SIGTERM", onSigterm);
+    process.removeListener("beforeExit", onBeforeExit);
+  };
+}
@@ -0,0 +1,396 @@
+import { randomUUID } from "crypto";
+
+/**
+ * Auditing for long-lived connections: WebSocket (`ws`), socket.io and
+ * Server-Sent Events. These never reach the `finish` event the request
+ * adapters record on, so each connection is recorded as
+ * `connection.open`, `connection.close` and, for designated message
+ * types, `connection.message` events. All of them share the upgrade
+ * request's user, IP, geo and request id.
+ */
+
+/**
+ * Byte length of a message payload
+ * @param {*} data - string, Buffer, ArrayBuffer, typed array or Buffer[]
+ * @returns {number}
+ */
+function byteLength(data) {
+  if (data === null || data === undefined) return 0;
+  if (typeof data === "string") return Buffer.byteLength(data);
+  if (Array.isArray(data)) {
+    return data.reduce((total, part) => total + byteLength(part), 0);
+  }
+  if (typeof data.byteLength === "number") return data.byteLength;
+  try {
+    return Buffer.byteLength(JSON.stringify(data));
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Default message type of a WebSocket message: `type` (or `event`) of a
+ * JSON text message
+ */
+function jsonMessageType(data, isBinary) {
+  if (isBinary) return null;
+  try {
+    const message = JSON.parse(Array.isArray(data) ? Buffer.concat(data) : data);
+    return message?.type ?? message?.event ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function jsonPayload(data, isBinary) {
+  if (isBinary) return undefined;
+  try {
+    return JSON.parse(Array.isArray(data) ? Buffer.concat(data) : data);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Compile the `messages` option into a predicate on (type, direction)
+ * @param {object} [messages]
+ * @returns {(type: string|null, direction: "in"|"out") => boolean}
+ */
+function compileMessageFilter(messages) {
+  if (!messages) return () => false;
+  const { types, direction = "in" } = messages;
+  const wanted =
+    typeof types === "function"
+      ? types
+      : types
+        ? (type) => types.includes(type)
+        : () => true;
+  return (type, dir) =>
+    (direction === "both" || direction === dir) && type != null && wanted(type);
+}
+
+/**
+ * Connection lifecycle shared by the WebSocket, socket.io and SSE hooks:
+ * resolves the user once, counts messages and bytes in each direction
+ * and records the open, message and close events.
+ *
+ * @param {object} auditServer - From `createAuditServer`
+ * @param {object} req - Upgrade (or SSE) request
+ * @param {object} options
+ * @param {"websocket"|"socket.io"|"sse"} options.transport
+ * @param {string} [options.connectionId] - Default: a random UUID
+ * @param {() => object|Promise<object>} [options.identify] - Resolve the user (default: the audit server's resolvers on req)
+ * @param {object} [options.fields] - Added to every event of the connection
+ * @param {object} [options.messages] - Per-message events, see `attachWebSocketAudit`
+ * @param {string} [options.label] - Prefix for warnings
+ * @returns {{ connectionId: string, bytes(direction, size): void, message(direction, size, type?, payload?): void, close(details?): Promise<void> }}
+ */
+export function observeConnection(
+  auditServer,
+  req,
+  {
+    transport,
+    connectionId = randomUUID(),
+    identify = () => auditServer.identify(req),
+    fields = {},
+    messages,
+    label = "Connection audit",
+  }
+) {
+  const start = process.hrtime.bigint();
+  const shouldRecord = compileMessageFilter(messages);
+  const stats = { messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0 };
+  const base = {
+    connectionId,
+    transport,
+    route: req.originalUrl || req.url,
+    method: req.method,
+    ...fields,
+  };
+
+  // Resolved once: later events must not depend on cookies or tokens
+  // that expire while the connection is open
+  const identity = Promise.resolve()
+    .then(identify)
+    .catch((err) => {
+      console.warn(`${label} failed:`, err.message);
+      return {};
+    });
+
+  const send = (data) =>
+    identity
+      .then((user) => auditServer.track(req, { ...user, ...base, ...data }))
+      .catch((err) => console.warn(`${label} failed:`, err.message));
+
+  const opened = send({ event: "connection.open" });
+  let closed = null;
+
+  return {
+    connectionId,
+
+    /**
+     * Count bytes sent or received
+     * @param {"in"|"out"} direction
+     * @param {number} size
+     */
+    bytes(direction, size) {
+      if (closed) return;
+      stats[direction === "in" ? "bytesIn" : "bytesOut"] += size;
+    },
+
+    /**
+     * Count a message; records it when its type is designated. Its bytes
+     * are counted separately with `bytes()`.
+     * @param {"in"|"out"} direction
+     * @param {number} size - Bytes, for the recorded event
+     * @param {string|null} [type]
+     * @param {*} [payload] - Recorded with `messages.payload`
+     */
+    message(direction, size, type = null, payload) {
+      if (closed) return;
+      stats[direction === "in" ? "messagesIn" : "messagesOut"]++;
+      if (shouldRecord(type, direction)) {
+        send({
+          event: "connection.message",
+          direction,
+          messageType: type,
+          size,
+          ...(messages.payload && payload !== undefined && { payload }),
+        });
+      }
+    },
+
+    /**
+     * Record the end of the connection; later calls are ignored
+     * @param {object} [details] - e.g. `closeCode`, `closeReason`, `closedBy`
+     * @returns {Promise<void>}
+     */
+    close(details = {}) {
+      if (!closed) {
+        const duration = Number(process.hrtime.bigint() - start) / 1e6;
+        closed = opened.then(() =>
+          send({
+            event: "connection.close",
+            duration: Math.round(duration * 1000) / 1000,
+            ...stats,
+            ...details,
+          })
+        );
+      }
+      return closed;
+    },
+  };
+}
+
+/**
+ * Audit every connection of a `ws` WebSocketServer.
+ *
+ * @param {object} auditServer - From `createAuditServer`
+ * @param {import("ws").WebSocketServer} wss
+ * @param {object} [options]
+ * @param {object} [options.messages] - Record designated messages as `connection.message` events
+ * @param {string[]|function} [options.messages.types] - Message types to record (default: all typed messages)
+ * @param {(data: *, isBinary: boolean) => string|null} [options.messages.typeOf] - Message type (default: `type` of a JSON message)
+ * @param {"in"|"out"|"both"} [options.messages.direction] - Directions to record (default: 'in')
+ * @param {boolean} [options.messages.payload] - Include the parsed JSON payload (default: false)
+ * @param {(req: object) => object} [options.fields] - Extra fields for every event of a connection
+ * @returns {() => void} Stops auditing new connections
+ */
+export function attachWebSocketAudit(auditServer, wss, options = {}) {
+  const { messages, fields } = options;
+  const typeOf = messages?.typeOf ?? jsonMessageType;
+
+  const onConnection = (socket, req) => {
+    const connection = observeConnection(auditServer, req, {
+      transport: "websocket",
+      fields: fields?.(req),
+      messages,
+      label: "WebSocket audit",
+    });
+
+    // Types are only worth parsing for when messages are recorded
+    const describe = (data, isBinary) =>
+      messages
+        ? [
+            typeOf(data, isBinary),
+            messages.payload ? jsonPayload(data, isBinary) : undefined,
+          ]
+        : [];
+
+    socket.on("message", (data, isBinary) => {
+      const size = byteLength(data);
+      connection.bytes("in", size);
+      connection.message("in", size, ...describe(data, isBinary));
+    });
+
+    const send = socket.send;
+    socket.send = function (data, ...rest) {
+      const isBinary =
+        typeof rest[0] === "object" && rest[0]?.binary !== undefined
+          ? rest[0].binary
+          : typeof data !== "string";
+      const size = byteLength(data);
+      connection.bytes("out", size);
+      connection.message("out", size, ...describe(data, isBinary));
+      return send.call(this, data, ...rest);
+    };
+
+    socket.once("close", (code, reason) => {
+      connection.close({
+        statusCode: 101,
+        closeCode: code,
+        closeReason: reason?.toString() || null,
+      });
+    });
+  };
+
+  wss.on("connection", onConnection);
+  return () => wss.off("connection", onConnection);
+}
+
+/**
+ * Audit every connection of a socket.io server (or namespace). Event
+ * names are the message types; outgoing messages are seen with
+ * socket.io 4.5 and later.
+ *
+ * @param {object} auditServer - From `createAuditServer`
+ * @param {import("socket.io").Server|import("socket.io").Namespace} io
+ * @param {object} [options]
+ * @param {object} [options.messages] - As for `attachWebSocketAudit`, without `typeOf`
+ * @param {(socket: object) => object|Promise<object>} [options.identify] - Resolve the user from the socket,
+ *   e.g. from `socket.handshake.auth` (default: the audit server's resolvers on the handshake request)
+ * @param {(socket: object) => object} [options.fields] - Extra fields for every event of a connection
+ * @returns {() => void} Stops auditing new connections
+ */
+export function attachSocketIoAudit(auditServer, io, options = {}) {
+  const { messages, identify, fields } = options;
+
+  const onConnection = (socket) => {
+    const req = socket.request;
+    const connection = observeConnection(auditServer, req, {
+      transport: "socket.io",
+      connectionId: socket.id,
+      ...(identify && { identify: () => identify(socket) }),
+      fields: { namespace: socket.nsp.name, ...fields?.(socket) },
+      messages,
+      label: "socket.io audit",
+    });
+
+    // Acknowledgement callbacks are not part of the payload
+    const observe = (direction) => (event, ...args) => {
+      const data = args.filter((arg) => typeof arg !== "function");
+      const size = byteLength(data);
+      connection.bytes(direction, size);
+      connection.message(direction, size, event, data);
+    };
+
+    socket.onAny(observe("in"));
+    socket.onAnyOutgoing?.(observe("out"));
+
+    socket.once("disconnect", (reason) => {
+      connection.close({ closeReason: reason });
+    });
+  };
+
+  io.on("connection", onConnection);
+  return () => io.off("connection", onConnection);
+}
+
+/**
+ * Audit a Server-Sent Events response. Counts the events written to
+ * `res` (comment-only heartbeats add bytes but not messages) and records
+ * the close whether the server ends the stream or the client goes away.
+ * The request adapters then skip their own event for this response.
+ *
+ * @param {object} auditServer - From `createAuditServer`
+ * @param {object} req - Node request (`request.raw` on Fastify)
+ * @param {import("http").ServerResponse} res - Node response (`reply.raw` on Fastify)
+ * @param {object} [options]
+ * @param {object} [options.messages] - As for `attachWebSocketAudit` with direction 'out';
+ *   the type is the SSE `event:` field ('message' when absent)
+ * @param {object} [options.fields] - Extra fields for every event of the stream
+ * @returns {{ connectionId: string, close(details?): Promise<void> }}
+ */
+export function auditEventStream(auditServer, req, res, options = {}) {
+  if (res.auditConnection) return res.auditConnection;
+
+  const messages = options.messages && { direction: "out", ...options.messages };
+  const connection = observeConnection(auditServer, req, {
+    transport: "sse",
+    fields: options.fields,
+    messages,
+    label: "SSE audit",
+  });
+  res.auditConnection = connection;
+
+  let pending = "";
+  const parse = (chunk, encoding) => {
+    const text = Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk);
+    connection.bytes(
+      "out",
+      Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(text, encoding)
+    );
+
+    // Events end with a blank line and may span several writes
+    const blocks = (pending + text).split(/\r?\n\r?\n/);
+    pending = blocks.pop();
+    for (const block of blocks) {
+      const lines = block.split(/\r?\n/).filter((line) => line);
+      if (!lines.length || lines.every((line) => line.startsWith(":"))) {
+        continue;
+      }
+      const type =
+        lines
+          .find((line) => line.startsWith("event:"))
+          ?.slice(6)
+          .trim() || "message";
+      const data = lines
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).replace(/^ /, ""))
+        .join("\n");
+      connection.message("out", Buffer.byteLength(block), type, data);
+    }
+  };
+
+  const write = res.write;
+  res.write = function (chunk, encoding, ...rest) {
+    if (chunk !== undefined && chunk !== null) {
+      parse(chunk, typeof encoding === "string" ? encoding : undefined);
+    }
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  // The last event may come with end() rather than write()
+  const end = res.end;
+  res.end = function (chunk, encoding, ...rest) {
+    if (chunk !== undefined && chunk !== null && typeof chunk !== "function") {
+      parse(chunk, typeof encoding === "string" ? encoding : undefined);
+    }
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  res.once("close", () => {
+    connection.close({
+      statusCode: res.statusCode,
+      closedBy: res.writableFinished ? "server" : "client",
+    });
+  });
+
+  return connection;
+}
+
+/**
+ * Express/Connect middleware auditing requests that ask for an event
+ * stream (`Accept: text/event-stream`, as EventSource sends) with
+ * `auditEventStream`
+ * @param {object} auditServer - From `createAuditServer`
+ * @param {object} [options] - As for `auditEventStream`
+ * @returns {(req, res, next) => void}
+ */
+export function sseAuditMiddleware(auditServer, options = {}) {
+  return (req, res, next) => {
+    if (String(req.headers.accept).includes("text/event-stream")) {
+      auditEventStream(auditServer, req, res, options);
+    }
+    next();
+  };
+}
@@ -0,0 +1,18 @@
+import { createHash, createHmac } from "crypto";
+import { createRedactor as createWebRedactor } from "./scrub.js";
+
+export * from "./scrub.js";
+
+function sha256(value, secret) {
+  const hash = secret ? createHmac("sha256", secret) : createHash("sha256");
+  return hash.update(value).digest("hex");
+}
+
+/**
+ * `createRedactor` from scrub.js, hashing with Node's crypto
+ * @param {object} [options] - See scrub.js
+ * @returns {(event: object) => object}
+ */
+export function createRedactor(options = {}) {
+  return createWebRedactor({ digest: sha256, ...options });
+}
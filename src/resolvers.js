@@ -0,0 +1,54 @@
+/**
+ * Identity resolvers that only need the request headers. Shared with the
+ * edge adapter, so only Web APIs here; `headers` may be a Node headers
+ * object or Fetch `Headers`.
+ */
+
+/** @typedef {import("./identity.js").AuditIdentity} AuditIdentity */
+
+export const ANONYMOUS = { userId: "anonymous", authMethod: "none" };
+
+function headerValue(headers, name) {
+  if (typeof headers?.get === "function") return headers.get(name);
+  const value = headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Resolve the user from a plain request header. The header is set by the
+ * client, so only use it behind a gateway that strips and sets it.
+ * @param {string} [header] - Header name (default: 'x-user-id')
+ * @returns {(req: object) => AuditIdentity|null}
+ */
+export function headerUserResolver(header = "x-user-id") {
+  return (req) => {
+    const userId = headerValue(req.headers, header);
+    return userId ? { userId: String(userId), authMethod: "header" } : null;
+  };
+}
+
+/**
+ * Combine resolvers: the first one returning an identity wins.
+ * Resolvers that throw (e.g. on an invalid token) are skipped.
+ * @param {Array<function>} resolvers
+ * @returns {(req: object) => Promise<AuditIdentity>}
+ */
+export function createIdentityResolver(resolvers) {
+  return async (req) => {
+    for (const resolve of resolvers) {
+      try {
+        const identity = await resolve(req);
+        if (identity?.userId) {
+          return Object.fromEntries(
+            Object.entries({ authMethod: "custom", ...identity }).filter(
+              ([, value]) => value !== undefined
+            )
+          );
+        }
+      } catch (err) {
+        console.warn("Audit user resolver failed:", err.message);
+      }
+    }
+    return { ...ANONYMOUS };
+  };
+}
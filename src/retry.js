@@ -0,0 +1,82 @@
+/**
+ * Decide whether a failed send is worth retrying.
+ * HTTP errors carry a `status`; 5xx and 429 are retried, other statuses
+ * are not. Errors without a status (network failures, timeouts) are retried.
+ * @param {Error & { status?: number }} err
+ * @returns {boolean}
+ */
+export function isRetryableError(err) {
+  if (typeof err?.status !== "number") {
+    return true;
+  }
+  return err.status >= 500 || err.status === 429;
+}
+
+/**
+ * Delay before the given retry attempt (0-based), with optional jitter
+ * @param {number} attempt
+ * @param {object} options
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(
+  attempt,
+  { minDelayMs = 200, maxDelayMs = 10000, factor = 2, jitter = true } = {}
+) {
+  const delay = Math.min(maxDelayMs, minDelayMs * factor ** attempt);
+  // Half fixed, half random so concurrent senders spread out
+  return jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+}
+
+/**
+ * Wrap a transport so failed sends are retried with exponential backoff
+ * @param {import("./transports.js").AuditTransport} transport
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt (default: 3)
+ * @param {number} [options.minDelayMs] - Delay before the first retry (default: 200)
+ * @param {number} [options.maxDelayMs] - Upper bound for a single delay (default: 10000)
+ * @param {number} [options.factor] - Growth factor between retries (default: 2)
+ * @param {boolean} [options.jitter] - Randomise delays (default: true)
+ * @param {function} [options.isRetryable] - Decides whether an error is retried
+ * @param {function} [options.onRetry] - Called with (err, attempt, delay) before waiting
+ * @returns {import("./transports.js").AuditTransport}
+ */
+export function withRetry(
+  transport,
+  {
+    retries = 3,
+    isRetryable = isRetryableError,
+    onRetry = () => {},
+    ...delayOptions
+  } = {}
+) {
+  async function send(events, options) {
+    let pending = events;
+    let sendOptions = options;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await transport.send(pending, sendOptions);
+      } catch (err) {
+        // Resend only what the failed attempt did not deliver
+        if (!err.undelivered) {
+          err.undelivered = pending;
+          if (sendOptions?.targets) err.targets = sendOptions.targets;
+        }
+        pending = err.undelivered;
+        if (err.targets) sendOptions = { targets: err.targets };
+        if (attempt >= retries || !isRetryable(err)) {
+          throw err;
+        }
+        const delay = backoffDelay(attempt, delayOptions);
+        onRetry(err, attempt + 1, delay);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return {
+    ...transport,
+    send,
+    flush: () => transport.flush?.(),
+    close: () => transport.close?.(),
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * A small JSON Schema validator covering the keywords audit event schemas
+ * need (draft 2020-12 subset): type, enum, const, properties, required,
+ * additionalProperties, items, min/max constraints, pattern, format,
+ * allOf/anyOf/oneOf/not and local `$ref`s into `$defs` / `definitions`.
+ * Unknown keywords are ignored, as the spec requires.
+ */
+
+const FORMATS = {
+  "date-time": (value) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(
+      value
+    ) && !Number.isNaN(Date.parse(value)),
+  date: (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: (value) =>
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value
+    ),
+  uri: (value) => /^[a-z][a-z0-9+.-]*:/i.test(value),
+  ipv4: (value) =>
+    /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(value),
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#")) {
+    throw new Error(`Only local $ref is supported: ${ref}`);
+  }
+  return ref
+    .slice(1)
+    .split("/")
+    .filter(Boolean)
+    .reduce(
+      (node, part) => node?.[part.replace(/~1/g, "/").replace(/~0/g, "~")],
+      root
+    );
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {object|boolean} schema
+ * @param {*} value
+ * @returns {Array<{ path: string, message: string }>} Empty when valid
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+
+  function check(node, data, path) {
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (node === true || node === undefined) return;
+    if (node === false) {
+      fail("is not allowed");
+      return;
+    }
+    if (node.$ref) {
+      const target = resolveRef(schema, node.$ref);
+      if (target === undefined) {
+        throw new Error(`Unresolved $ref: ${node.$ref}`);
+      }
+      check(target, data, path);
+    }
+
+    if (node.type) {
+      const types = [].concat(node.type);
+      if (!types.some((type) => matchesType(data, type))) {
+        fail(`must be ${types.join(" or ")}`);
+        return;
+      }
+    }
+    if (node.enum && !node.enum.some((option) => deepEqual(option, data))) {
+      const options = node.enum.map((option) => JSON.stringify(option));
+      fail(`must be one of ${options.join(", ")}`);
+    }
+    if ("const" in node && !deepEqual(node.const, data)) {
+      fail(`must be ${JSON.stringify(node.const)}`);
+    }
+
+    if (typeof data === "string") {
+      if (node.minLength !== undefined && data.length < node.minLength) {
+        fail(`must have at least ${node.minLength} characters`);
+      }
+      if (node.maxLength !== undefined && data.length > node.maxLength) {
+        fail(`must have at most ${node.maxLength} characters`);
+      }
+      if (node.pattern && !new RegExp(node.pattern, "u").test(data)) {
+        fail(`must match ${node.pattern}`);
+      }
+      if (node.format && FORMATS[node.format] && !FORMATS[node.format](data)) {
+        fail(`must be a valid ${node.format}`);
+      }
+    }
+
+    if (typeof data === "number") {
+      if (node.minimum !== undefined && data < node.minimum) {
+        fail(`must be >= ${node.minimum}`);
+      }
+      if (node.maximum !== undefined && data > node.maximum) {
+        fail(`must be <= ${node.maximum}`);
+      }
+      const { exclusiveMinimum, exclusiveMaximum } = node;
+      if (exclusiveMinimum !== undefined && data <= exclusiveMinimum) {
+        fail(`must be > ${exclusiveMinimum}`);
+      }
+      if (exclusiveMaximum !== undefined && data >= exclusiveMaximum) {
+        fail(`must be < ${exclusiveMaximum}`);
+      }
+    }
+
+    if (Array.isArray(data)) {
+      if (node.minItems !== undefined && data.length < node.minItems) {
+        fail(`must have at least ${node.minItems} items`);
+      }
+      if (node.maxItems !== undefined && data.length > node.maxItems) {
+        fail(`must have at most ${node.maxItems} items`);
+      }
+      if (node.items !== undefined) {
+        data.forEach((item, i) => check(node.items, item, `${path}[${i}]`));
+      }
+    }
+
+    if (typeOf(data) === "object") {
+      const properties = node.properties || {};
+      for (const key of node.required || []) {
+        if (data[key] === undefined) {
+          fail("is required", join(path, key));
+        }
+      }
+      for (const [key, child] of Object.entries(data)) {
+        if (child === undefined) continue;
+        if (key in properties) {
+          check(properties[key], child, join(path, key));
+        } else if (node.additionalProperties !== undefined) {
+          check(node.additionalProperties, child, join(path, key));
+        }
+      }
+    }
+
+    for (const sub of node.allOf || []) check(sub, data, path);
+    if (node.anyOf && !node.anyOf.some((sub) => passes(sub, data))) {
+      fail("must match a schema in anyOf");
+    }
+    if (node.oneOf) {
+      const matched = node.oneOf.filter((sub) => passes(sub, data)).length;
+      if (matched !== 1) {
+        fail("must match exactly one schema in oneOf");
+      }
+    }
+    if (node.not && passes(node.not, data)) {
+      fail("must not match the schema in not");
+    }
+  }
+
+  function passes(node, data) {
+    const before = errors.length;
+    check(node, data, "");
+    const ok = errors.length === before;
+    errors.length = before;
+    return ok;
+  }
+
+  check(schema, value, "");
+  return errors;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
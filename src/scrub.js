@@ -0,0 +1,289 @@
+/**
+ * Redaction with Web APIs only, so the edge adapter can share it.
+ * `redact.js` adds Node's crypto for hashing.
+ */
+
+const REMOVE = Symbol("remove");
+
+/** Keys whose values are masked wherever they appear */
+export const DEFAULT_SENSITIVE_KEYS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "apiKey",
+  "authorization",
+  "cookie",
+  "creditCard",
+  "cardNumber",
+  "cvv",
+  "ssn",
+];
+
+/** Query parameters whose values are scrubbed from `route` */
+export const DEFAULT_SENSITIVE_QUERY_PARAMS = [
+  "token",
+  "access_token",
+  "refresh_token",
+  "id_token",
+  "api_key",
+  "apikey",
+  "key",
+  "password",
+  "secret",
+  "email",
+  "code",
+  "signature",
+  "sig",
+];
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors for sensitive values inside strings.
+ * Each has a global `pattern` and an optional `validate(match)`.
+ */
+export const detectors = {
+  email: {
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  },
+  creditCard: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (match) => luhn(match.replace(/\D/g, "")),
+  },
+  jwt: {
+    pattern: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g,
+  },
+  apiKey: {
+    pattern:
+      /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{36,}\b|\bxox[abprs]-[A-Za-z0-9-]{10,}|\bAIza[0-9A-Za-z_-]{35}\b|\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/g,
+  },
+};
+
+const IPV4 =
+  /^(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const IPV6_GROUP = /^[\da-f]{1,4}$/i;
+
+/** 4 or 6 for an IP address, 0 otherwise, like `net.isIP` */
+function ipVersion(ip) {
+  if (IPV4.test(ip)) return 4;
+  // An embedded IPv4 tail counts as two groups
+  const tail = ip.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail && !IPV4.test(tail[1])) return 0;
+  const address = tail ? `${ip.slice(0, tail.index)}:0:0` : ip;
+
+  const halves = address.split("::");
+  if (halves.length > 2) return 0;
+  const groups = halves.map((half) => (half ? half.split(":") : []));
+  const count = groups[0].length + (groups[1]?.length ?? 0);
+  const valid = groups.every((half) => half.every((g) => IPV6_GROUP.test(g)));
+  return valid && (halves.length === 2 ? count < 8 : count === 8) ? 6 : 0;
+}
+
+/**
+ * Anonymise an IP address: zero the last IPv4 octet, keep the /64 of IPv6
+ * @param {string} ip
+ * @returns {string}
+ */
+export function anonymizeIp(ip) {
+  if (typeof ip !== "string") return ip;
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return `::ffff:${anonymizeIp(mapped[1])}`;
+  }
+
+  const version = ipVersion(ip);
+  if (version === 4) {
+    return ip.replace(/\.\d+$/, ".0");
+  }
+  if (version === 6) {
+    return `${expandIpv6(ip).slice(0, 4).join(":")}::`;
+  }
+  return ip;
+}
+
+function expandIpv6(ip) {
+  const [head, tail = ""] = ip.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const fill = ip.includes("::")
+    ? Array(8 - headParts.length - tailParts.length).fill("0")
+    : [];
+  return [...headParts, ...fill, ...tailParts].map(
+    (part) => part.replace(/^0+(?=.)/, "").toLowerCase()
+  );
+}
+
+/**
+ * Replace the values of the given query parameters in a URL or path
+ * @param {string} url
+ * @param {string[]|"*"} params - Parameter names, or "*" for all of them
+ * @param {string} replacement
+ * @returns {string}
+ */
+export function scrubQuery(url, params, replacement = "[REDACTED]") {
+  if (typeof url !== "string" || !url.includes("?")) return url;
+
+  const names =
+    params === "*" ? null : new Set(params.map((p) => p.toLowerCase()));
+  const [path, rest] = url.split(/\?(.*)/s);
+  const [query, hash] = rest.split(/#(.*)/s);
+
+  const scrubbed = query
+    .split("&")
+    .map((pair) => {
+      const [rawKey] = pair.split("=");
+      let key = rawKey;
+      try {
+        key = decodeURIComponent(rawKey.replace(/\+/g, " "));
+      } catch {
+        // keep the raw key
+      }
+      if (!pair.includes("=")) return pair;
+      return !names || names.has(key.toLowerCase())
+        ? `${rawKey}=${replacement}`
+        : pair;
+    })
+    .join("&");
+
+  return `${path}?${scrubbed}${hash !== undefined ? `#${hash}` : ""}`;
+}
+
+function compilePaths(paths) {
+  return paths.map((path) => path.split("."));
+}
+
+function matchesPath(rules, path) {
+  return rules.some(
+    (rule) =>
+      rule.length === path.length &&
+      rule.every((segment, i) => segment === "*" || segment === path[i])
+  );
+}
+
+/**
+ * Build a redaction function applied to every event before it leaves
+ * the process.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.keys] - Key names masked at any depth (default: DEFAULT_SENSITIVE_KEYS)
+ * @param {string[]} [options.paths] - Dotted paths to mask, `*` matches one segment
+ * @param {string[]} [options.remove] - Dotted paths to delete
+ * @param {string[]} [options.hash] - Dotted paths replaced by a hash of their value
+ * @param {string} [options.hashSecret] - Key for HMAC-SHA256 hashing (default: plain SHA-256)
+ * @param {(value: string, secret?: string) => string} [options.digest] - Hex SHA-256 (or HMAC with `secret`); required with `hash`
+ * @param {Array<string|RegExp|{ pattern: RegExp, validate?: function }>} [options.detectors]
+ *   Detectors to run over string values; names refer to the built-in `detectors` (default: all)
+ * @param {string[]|"*"|false} [options.queryParams] - Query parameters scrubbed from `route` (default: DEFAULT_SENSITIVE_QUERY_PARAMS)
+ * @param {boolean} [options.anonymizeIp] - Truncate `ip` to its /24 or /64 (default: false)
+ * @param {string} [options.replacement] - Text put in place of masked values (default: "[REDACTED]")
+ * @returns {(event: object) => object}
+ */
+export function createRedactor({
+  keys = DEFAULT_SENSITIVE_KEYS,
+  paths = [],
+  remove = [],
+  hash = [],
+  hashSecret,
+  digest,
+  detectors: detectorSpecs = Object.keys(detectors),
+  queryParams = DEFAULT_SENSITIVE_QUERY_PARAMS,
+  anonymizeIp: shouldAnonymizeIp = false,
+  replacement = "[REDACTED]",
+} = {}) {
+  const keySet = new Set(keys.map((key) => key.toLowerCase()));
+  const maskRules = compilePaths(paths);
+  const removeRules = compilePaths(remove);
+  const hashRules = compilePaths(hash);
+  if (hashRules.length && !digest) {
+    throw new Error("Redaction hash paths need a digest function");
+  }
+
+  const activeDetectors = detectorSpecs.map((spec) => {
+    if (typeof spec === "string") {
+      if (!detectors[spec]) {
+        throw new Error(`Unknown redaction detector: ${spec}`);
+      }
+      return detectors[spec];
+    }
+    return spec instanceof RegExp ? { pattern: spec } : spec;
+  });
+
+  function hashValue(value) {
+    const input = typeof value === "string" ? value : JSON.stringify(value);
+    return digest(String(input), hashSecret);
+  }
+
+  function scanString(value) {
+    let result = value;
+    for (const { pattern, validate } of activeDetectors) {
+      const regex = pattern.global
+        ? pattern
+        : new RegExp(pattern.source, pattern.flags + "g");
+      result = result.replace(regex, (match) =>
+        !validate || validate(match) ? replacement : match
+      );
+    }
+    return result;
+  }
+
+  function walk(value, path) {
+    if (path.length) {
+      if (matchesPath(removeRules, path)) return REMOVE;
+      if (matchesPath(hashRules, path)) {
+        return value == null ? value : hashValue(value);
+      }
+      if (
+        matchesPath(maskRules, path) ||
+        keySet.has(String(path[path.length - 1]).toLowerCase())
+      ) {
+        return value == null ? value : replacement;
+      }
+    }
+
+    if (typeof value === "string") {
+      return scanString(value);
+    }
+    if (Array.isArray(value)) {
+      return value
+        .map((item, i) => walk(item, [...path, String(i)]))
+        .filter((item) => item !== REMOVE);
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      const out = {};
+      for (const [key, child] of Object.entries(value)) {
+        const next = walk(child, [...path, key]);
+        if (next !== REMOVE) out[key] = next;
+      }
+      return out;
+    }
+    return value;
+  }
+
+  return function redact(event) {
+    const input = { ...event };
+    if (queryParams && typeof input.route === "string") {
+      input.route = scrubQuery(input.route, queryParams, replacement);
+    }
+
+    const output = walk(input, []);
+    if (shouldAnonymizeIp && output.ip) {
+      output.ip = anonymizeIp(output.ip);
+    }
+    return output;
+  };
+}
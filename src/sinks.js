@@ -0,0 +1,557 @@
+import { createRequire } from "module";
+import dgram from "dgram";
+import net from "net";
+import tls from "tls";
+import os from "os";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Load an optional dependency of a sink
+ * @param {string} name - Package name
+ * @param {string} sink - Sink needing it, for the error message
+ */
+function loadOptional(name, sink) {
+  try {
+    return require(name);
+  } catch {
+    throw new Error(
+      `The ${sink} transport needs the ${name} package, or pass a client`
+    );
+  }
+}
+
+const POSTGRES_COLUMNS = [
+  "request_id",
+  "session_id",
+  '"timestamp"',
+  "event",
+  "user_id",
+  "ip",
+  "country",
+  "route",
+  "method",
+  "status_code",
+  "duration",
+  "data",
+];
+
+function postgresRow(event) {
+  return [
+    event.requestId ?? null,
+    event.sessionId ?? null,
+    event.timestamp ?? new Date().toISOString(),
+    event.event ?? null,
+    event.userId ?? null,
+    event.ip ?? null,
+    event.country ?? null,
+    event.route ?? null,
+    event.method ?? null,
+    Number.isInteger(event.statusCode) ? event.statusCode : null,
+    typeof event.duration === "number" ? event.duration : null,
+    JSON.stringify(event),
+  ];
+}
+
+function checkTableName(table) {
+  if (!/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/.test(table)) {
+    throw new Error(`Invalid table name: ${table}`);
+  }
+  return table;
+}
+
+/**
+ * DDL for the table the Postgres transport writes to. Common filter
+ * columns are extracted; the whole event is kept in `data`.
+ * @param {string} [table] - Optionally schema-qualified (default: 'audit_events')
+ * @returns {string}
+ */
+export function postgresAuditTableDDL(table = "audit_events") {
+  checkTableName(table);
+  const prefix = table.replace(".", "_");
+  return `CREATE TABLE IF NOT EXISTS ${table} (
+  id BIGSERIAL PRIMARY KEY,
+  request_id TEXT,
+  session_id TEXT,
+  "timestamp" TIMESTAMPTZ NOT NULL,
+  event TEXT,
+  user_id TEXT,
+  ip TEXT,
+  country TEXT,
+  route TEXT,
+  method TEXT,
+  status_code INTEGER,
+  duration DOUBLE PRECISION,
+  data JSONB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS ${prefix}_timestamp_idx ON ${table} ("timestamp");
+CREATE INDEX IF NOT EXISTS ${prefix}_user_id_idx ON ${table} (user_id, "timestamp");
+CREATE INDEX IF NOT EXISTS ${prefix}_request_id_idx ON ${table} (request_id);`;
+}
+
+/**
+ * Insert events into PostgreSQL, one multi-row INSERT per batch
+ * @param {object} options
+ * @param {{ query(text: string, values?: Array): Promise<*> }} [options.pool] - A `pg` Pool or Client
+ * @param {string} [options.connectionString] - Creates a `pg` Pool when no pool is given
+ * @param {string} [options.table] - Target table (default: 'audit_events')
+ * @param {boolean} [options.createTable] - Run `postgresAuditTableDDL` before the first insert (default: false)
+ * @param {number} [options.maxRowsPerInsert] - Rows per INSERT statement (default: 1000)
+ * @returns {import("./transports.js").AuditTransport}
+ */
+export function createPostgresTransport({
+  pool,
+  connectionString,
+  table = "audit_events",
+  createTable = false,
+  maxRowsPerInsert = 1000,
+}) {
+  if (!pool && !connectionString) {
+    throw new Error(
+      "pool or connectionString is required for postgres transport"
+    );
+  }
+  checkTableName(table);
+
+  const ownsPool = !pool;
+  const db =
+    pool ?? new (loadOptional("pg", "postgres").Pool)({ connectionString });
+  let ready = null;
+
+  async function insert(events) {
+    const values = [];
+    const rows = events.map((event) => {
+      const row = postgresRow(event);
+      const placeholders = row.map((value) => {
+        values.push(value);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(", ")})`;
+    });
+    await db.query(
+      `INSERT INTO ${table} (${POSTGRES_COLUMNS.join(", ")}) VALUES ${rows.join(", ")}`,
+      values
+    );
+  }
+
+  async function send(events) {
+    if (createTable) {
+      if (!ready) {
+        ready = db.query(postgresAuditTableDDL(table)).catch((err) => {
+          ready = null;
+          throw err;
+        });
+      }
+      await ready;
+    }
+    for (let i = 0; i < events.length; i += maxRowsPerInsert) {
+      try {
+        await insert(events.slice(i, i + maxRowsPerInsert));
+      } catch (err) {
+        // Earlier statements are committed
+        err.undelivered = events.slice(i);
+        throw err;
+      }
+    }
+  }
+
+  return {
+    name: "postgres",
+    send,
+    flush: async () => {},
+    close: async () => {
+      if (ownsPool) await db.end();
+    },
+  };
+}
+
+/**
+ * Events an unordered `insertMany` did not write, from the `writeErrors`
+ * of a MongoBulkWriteError. Null when the error does not say.
+ */
+function mongoUndelivered(err, events) {
+  const writeErrors = [].concat(err.writeErrors ?? []);
+  const failed = new Set(writeErrors.map((writeError) => writeError.index));
+  if (!failed.size || failed.has(undefined)) return null;
+  return events.filter((_, i) => failed.has(i));
+}
+
+/**
+ * Insert events into a MongoDB collection with `insertMany`
+ * @param {object} options
+ * @param {object|string} [options.collection] - A Collection, or its name (default: 'audit_events')
+ * @param {object} [options.client] - A connected or unconnected MongoClient
+ * @param {string} [options.url] - Creates a MongoClient when neither collection nor client is given
+ * @param {string} [options.db] - Database name (default: 'audit')
+ * @returns {import("./transports.js").AuditTransport}
+ */
+export function createMongoTransport({
+  collection = "audit_events",
+  client,
+  url,
+  db = "audit",
+}) {
+  const given = typeof collection?.insertMany === "function";
+  if (!given && !client && !url) {
+    throw new Error(
+      "collection, client or url is required for mongodb transport"
+    );
+  }
+
+  const ownsClient = !given && !client;
+  let mongo = client;
+  let target = given ? collection : null;
+
+  async function resolveCollection() {
+    if (!target) {
+      if (!mongo) {
+        mongo = new (loadOptional("mongodb", "mongodb").MongoClient)(url);
+      }
+      // Connecting is a no-op when already connected
+      await mongo.connect();
+      target = mongo.db(db).collection(collection);
+    }
+    return target;
+  }
+
+  async function send(events) {
+    const docs = await resolveCollection();
+    try {
+      // Copies: the driver adds `_id` to the documents it inserts
+      await docs.insertMany(
+        events.map((event) => ({ ...event })),
+        { ordered: false }
+      );
+    } catch (err) {
+      // Unordered inserts keep going past errors: only resend the failures
+      const undelivered = mongoUndelivered(err, events);
+      if (undelivered) err.undelivered = undelivered;
+      throw err;
+    }
+  }
+
+  return {
+    name: "mongodb",
+    send,
+    flush: async () => {},
+    close: async () => {
+      if (ownsClient && mongo) await mongo.close();
+    },
+  };
+}
+
+/**
+ * Produce events to a Kafka (or Redpanda) topic as JSON messages
+ * @param {object} options
+ * @param {string} options.topic
+ * @param {object} [options.producer] - A connected kafkajs Producer
+ * @param {string[]} [options.brokers] - Creates a kafkajs producer when none is given
+ * @param {object} [options.kafka] - Extra kafkajs client config (ssl, sasl, ...)
+ * @param {string|((event: object) => string|null)} [options.key] - Message key: event field or function (default: 'userId')
+ * @param {number} [options.acks] - Required acknowledgements (default: -1, all in-sync replicas)
+ * @returns {import("./transports.js").AuditTransport}
+ */
+export function createKafkaTransport({
+  topic,
+  producer,
+  brokers,
+  kafka = {},
+  key = "userId",
+  acks = -1,
+}) {
+  if (!topic) {
+    throw new Error("topic is required for kafka transport");
+  }
+  if (!producer && !brokers?.length) {
+    throw new Error("producer or brokers is required for kafka transport");
+  }
+
+  const ownsProducer = !producer;
+  const client =
+    producer ??
+    new (loadOptional("kafkajs", "kafka").Kafka)({
+      clientId: "triostack-audit",
+      ...kafka,
+      brokers,
+    }).producer();
+  let connected = null;
+  const keyOf = typeof key === "function" ? key : (event) => event[key];
+
+  async function send(events) {
+    if (ownsProducer) {
+      if (!connected) {
+        connected = client.connect().catch((err) => {
+          connected = null;
+          throw err;
+        });
+      }
+      await connected;
+    }
+    await client.send({
+      topic,
+      acks,
+      messages: events.map((event) => {
+        const messageKey = keyOf(event);
+        return {
+          key: messageKey == null ? null : String(messageKey),
+          value: JSON.stringify(event),
+          headers: {
+            "content-type": "application/json",
+            ...(event.event && { event: String(event.event) }),
+          },
+        };
+      }),
+    });
+  }
+
+  return {
+    name: "kafka",
+    send,
+    flush: async () => {},
+    close: async () => {
+      if (ownsProducer && connected) await client.disconnect();
+    },
+  };
+}
+
+const FACILITIES = {
+  kern: 0,
+  user: 1,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  authpriv: 10,
+  audit: 13,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
+};
+
+/**
+ * Default severity: error for 5xx, warning for 4xx, notice for failed
+ * or denied outcomes, informational otherwise
+ * @param {object} event
+ * @returns {number}
+ */
+function defaultSeverity(event) {
+  if (event.statusCode >= 500) return 3;
+  if (event.statusCode >= 400) return 4;
+  if (["failure", "denied", "error"].includes(event.outcome)) return 5;
+  return 6;
+}
+
+/** Printable US-ASCII without spaces, as header fields require */
+function headerField(value, maxLength) {
+  const text = String(value ?? "")
+    .replace(/[^\x21-\x7e]/g, "_")
+    .slice(0, maxLength);
+  return text || "-";
+}
+
+function sdValue(value) {
+  return String(value).replace(/["\\\]]/g, "\\$&");
+}
+
+/**
+ * Format an event as an RFC 5424 syslog message. Correlation fields go
+ * into an `audit@<enterpriseId>` structured data element; the message
+ * is the event as JSON.
+ * @param {object} event
+ * @param {object} [options]
+ * @param {number|string} [options.facility] - Number or name (default: 'audit', 13)
+ * @param {(event: object) => number} [options.severity]
+ * @param {string} [options.hostname] - Default: os.hostname()
+ * @param {string} [options.appName] - Default: 'triostack-audit'
+ * @param {number} [options.enterpriseId] - SD-ID enterprise number (default: 32473, reserved for examples)
+ * @returns {string}
+ */
+export function formatSyslogMessage(
+  event,
+  {
+    facility = "audit",
+    severity = defaultSeverity,
+    hostname = os.hostname(),
+    appName = "triostack-audit",
+    enterpriseId = 32473,
+  } = {}
+) {
+  const facilityCode =
+    typeof facility === "number" ? facility : FACILITIES[facility];
+  if (facilityCode === undefined) {
+    throw new Error(`Unknown syslog facility: ${facility}`);
+  }
+
+  const params = [
+    ["requestId", event.requestId],
+    ["userId", event.userId],
+    ["ip", event.ip],
+    ["method", event.method],
+    ["route", event.route],
+    ["statusCode", event.statusCode],
+  ].filter(([, value]) => value !== null && value !== undefined);
+  const structuredData = params.length
+    ? `[audit@${enterpriseId} ${params
+        .map(([name, value]) => `${name}="${sdValue(value)}"`)
+        .join(" ")}]`
+    : "-";
+
+  return [
+    `<${facilityCode * 8 + severity(event)}>1`,
+    event.timestamp || "-",
+    headerField(hostname, 255),
+    headerField(appName, 48),
+    headerField(process.pid, 128),
+    headerField(event.event, 32),
+    structuredData,
+    JSON.stringify(event),
+  ].join(" ");
+}
+
+/**
+ * Send events to a syslog server as RFC 5424 messages over UDP, TCP or
+ * TLS (RFC 5425). Stream transports use octet-counting framing (RFC 6587)
+ * unless `framing: 'newline'`; the connection is reopened after errors.
+ * @param {object} [options] - Plus the `formatSyslogMessage` options
+ * @param {string} [options.host] - Default: '127.0.0.1'
+ * @param {number} [options.port] - Default: 514, or 6514 for TLS
+ * @param {"udp"|"tcp"|"tls"} [options.protocol] - Default: 'udp'
+ * @param {object} [options.tls] - `tls.connect` options (ca, cert, key, servername, ...)
+ * @param {"octet-counting"|"newline"} [options.framing] - TCP framing (default: 'octet-counting')
+ * @param {number} [options.timeout] - Connect and write timeout in ms (default: 10000)
+ * @param {number} [options.maxMessageSize] - UDP datagrams are truncated to this many bytes (default: 65507, or 65487 over IPv6)
+ * @returns {import("./transports.js").AuditTransport}
+ */
+export function createSyslogTransport({
+  host = "127.0.0.1",
+  port,
+  protocol = "udp",
+  tls: tlsOptions = {},
+  framing = "octet-counting",
+  timeout = 10000,
+  maxMessageSize = net.isIPv6(host) ? 65487 : 65507,
+  ...formatOptions
+} = {}) {
+  if (!["udp", "tcp", "tls"].includes(protocol)) {
+    throw new Error(`Unknown syslog protocol: ${protocol}`);
+  }
+  const targetPort = port ?? (protocol === "tls" ? 6514 : 514);
+  // Fail on a bad facility now rather than on the first event
+  formatSyslogMessage({}, formatOptions);
+
+  let socket = null;
+  let connecting = null;
+
+  function frame(message) {
+    if (protocol === "udp") return truncateUtf8(Buffer.from(message));
+    if (protocol === "tcp" && framing === "newline") {
+      return Buffer.from(message.replace(/\n/g, " ") + "\n");
+    }
+    const bytes = Buffer.from(message);
+    return Buffer.concat([Buffer.from(`${bytes.length} `), bytes]);
+  }
+
+  // Larger datagrams fail with EMSGSIZE; RFC 5426 lets senders truncate
+  function truncateUtf8(bytes) {
+    if (bytes.length <= maxMessageSize) return bytes;
+    let end = maxMessageSize;
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+    return bytes.subarray(0, end);
+  }
+
+  function connect() {
+    if (socket) return Promise.resolve(socket);
+    if (connecting) return connecting;
+    connecting = new Promise((resolve, reject) => {
+      const stream =
+        protocol === "tls"
+          ? tls.connect({ host, port: targetPort, ...tlsOptions })
+          : net.connect({ host, port: targetPort });
+      const timer = setTimeout(() => {
+        stream.destroy(
+          new Error(`Syslog connect to ${host}:${targetPort} timed out`)
+        );
+      }, timeout);
+
+      stream.once(protocol === "tls" ? "secureConnect" : "connect", () => {
+        clearTimeout(timer);
+        // An idle connection must not keep the process alive
+        stream.unref();
+        socket = stream;
+        connecting = null;
+        resolve(stream);
+      });
+      stream.once("error", (err) => {
+        clearTimeout(timer);
+        connecting = null;
+        reject(err);
+      });
+      stream.once("close", () => {
+        if (socket === stream) socket = null;
+      });
+      // Errors after connecting surface through the next write
+      stream.on("error", () => {
+        if (socket === stream) socket = null;
+      });
+    });
+    return connecting;
+  }
+
+  async function sendStream(buffers) {
+    const stream = await connect();
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        stream.destroy();
+        reject(new Error("Syslog write timed out"));
+      }, timeout);
+      stream.write(Buffer.concat(buffers), (err) => {
+        clearTimeout(timer);
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  async function sendUdp(events, buffers) {
+    if (!socket) {
+      socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+      socket.unref();
+    }
+    for (let i = 0; i < buffers.length; i++) {
+      try {
+        await new Promise((resolve, reject) => {
+          socket.send(buffers[i], targetPort, host, (err) =>
+            err ? reject(err) : resolve()
+          );
+        });
+      } catch (err) {
+        err.undelivered = events.slice(i);
+        throw err;
+      }
+    }
+  }
+
+  async function send(events) {
+    const buffers = events.map((event) =>
+      frame(formatSyslogMessage(event, formatOptions))
+    );
+    return protocol === "udp" ? sendUdp(events, buffers) : sendStream(buffers);
+  }
+
+  async function close() {
+    const current = socket;
+    socket = null;
+    if (!current) return;
+    if (protocol === "udp") {
+      current.close();
+      return;
+    }
+    await new Promise((resolve) => current.end(resolve));
+  }
+
+  return { name: "syslog", send, flush: async () => {}, close };
+}
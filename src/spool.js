@@ -0,0 +1,237 @@
+import { randomUUID } from "crypto";
+import {
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  stat,
+  unlink,
+  writeFile,
+} from "fs/promises";
+import { join } from "path";
+
+const SPOOL_EXT = ".json";
+
+/**
+ * Durable on-disk store for batches that could not be delivered.
+ * Each batch is one JSON file named `<epoch ms>-<id>.json`, so sorting the
+ * names replays batches oldest first.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Directory to keep spooled batches in
+ * @param {number} [options.maxBytes] - Total spool size before the oldest batches are dropped (default: 50MB)
+ * @param {number} [options.maxAgeMs] - Batches older than this are dropped (default: 7 days)
+ * @param {function} [options.onDrop] - Called with (count, reason) when events are discarded
+ */
+export function createSpool({
+  dir,
+  maxBytes = 50 * 1024 * 1024,
+  maxAgeMs = 7 * 24 * 60 * 60 * 1000,
+  onDrop = () => {},
+}) {
+  if (!dir) {
+    throw new Error("dir is required for audit spool");
+  }
+
+  let ready = null;
+
+  function ensureDir() {
+    if (!ready) {
+      ready = mkdir(dir, { recursive: true });
+    }
+    return ready;
+  }
+
+  async function list() {
+    await ensureDir();
+    const names = await readdir(dir);
+    return names.filter((name) => name.endsWith(SPOOL_EXT)).sort();
+  }
+
+  /** Batches are an array of events, or `{ events, targets }` for a multi transport */
+  function parseBatch(text) {
+    const batch = JSON.parse(text);
+    return Array.isArray(batch) ? { events: batch } : batch;
+  }
+
+  async function countEvents(file) {
+    try {
+      return parseBatch(await readFile(file, "utf8")).events.length;
+    } catch {
+      return 0;
+    }
+  }
+
+  async function drop(name, reason) {
+    const file = join(dir, name);
+    const count = await countEvents(file);
+    await unlink(file).catch(() => {});
+    onDrop(count, reason);
+  }
+
+  /** Drop expired batches, then the oldest ones while over `maxBytes` */
+  async function enforceLimits() {
+    const names = await list();
+    const now = Date.now();
+    const sizes = [];
+
+    for (const name of names) {
+      const createdAt = parseInt(name, 10);
+      if (now - createdAt > maxAgeMs) {
+        await drop(name, "expired");
+        continue;
+      }
+      const { size } = await stat(join(dir, name)).catch(() => ({ size: 0 }));
+      sizes.push({ name, size });
+    }
+
+    let total = sizes.reduce((sum, entry) => sum + entry.size, 0);
+    while (total > maxBytes && sizes.length) {
+      const oldest = sizes.shift();
+      total -= oldest.size;
+      await drop(oldest.name, "spool full");
+    }
+  }
+
+  async function writeBatch(name, events, targets) {
+    const tmp = join(dir, `${name}.tmp`);
+    await writeFile(
+      tmp,
+      JSON.stringify(targets ? { events, targets } : events)
+    );
+    await rename(tmp, join(dir, name));
+  }
+
+  /**
+   * Persist a batch
+   * @param {object[]} events
+   * @param {Record<number, number[]>} [targets] - Multi transport targets still to receive it
+   */
+  async function write(events, targets) {
+    await ensureDir();
+    await writeBatch(
+      `${Date.now()}-${randomUUID()}${SPOOL_EXT}`,
+      events,
+      targets
+    );
+    await enforceLimits();
+  }
+
+  /**
+   * Send spooled batches oldest first, removing each once delivered.
+   * Stops at the first failure so the remaining batches keep their order.
+   * @param {(events: object[], options?: object) => Promise<void>} send
+   * @returns {Promise<number>} Number of events replayed
+   */
+  async function replay(send) {
+    await enforceLimits();
+    let replayed = 0;
+
+    for (const name of await list()) {
+      const file = join(dir, name);
+      let events;
+      let targets;
+      try {
+        ({ events, targets } = parseBatch(await readFile(file, "utf8")));
+      } catch {
+        await drop(name, "unreadable");
+        continue;
+      }
+
+      try {
+        await send(events, targets && { targets });
+      } catch (err) {
+        // Keep only what is still undelivered for the next replay
+        if (err.undelivered) {
+          await writeBatch(name, err.undelivered, err.targets);
+        }
+        throw err;
+      }
+      await unlink(file).catch(() => {});
+      replayed += events.length;
+    }
+    return replayed;
+  }
+
+  return { dir, write, replay, list };
+}
+
+/**
+ * Wrap a transport so batches that fail are written to a spool and
+ * replayed once the transport accepts events again.
+ * @param {import("./transports.js").AuditTransport} transport
+ * @param {ReturnType<typeof createSpool>} spool
+ * @param {object} [options]
+ * @param {number} [options.replayIntervalMs] - How often to retry spooled batches (default: 30000)
+ * @param {function} [options.onError] - Called when a replay attempt fails
+ * @param {(count: number) => void} [options.onReplayed] - Called with the number of spooled events a replay delivered
+ * @returns {import("./transports.js").AuditTransport}
+ */
+export function withSpool(
+  transport,
+  spool,
+  { replayIntervalMs = 30000, onError = () => {}, onReplayed = () => {} } = {}
+) {
+  let replaying = null;
+  // Start dirty so batches left by a previous process are picked up
+  let dirty = true;
+  let writes = 0;
+
+  function replaySpool() {
+    if (!replaying) {
+      const writesBefore = writes;
+      replaying = spool
+        .replay(async (events, options) => {
+          try {
+            await transport.send(events, options);
+          } catch (err) {
+            const delivered =
+              events.length - (err.undelivered ?? events).length;
+            if (delivered > 0) onReplayed(delivered);
+            throw err;
+          }
+          onReplayed(events.length);
+        })
+        .then(() => {
+          if (writes === writesBefore) dirty = false;
+        })
+        .catch(onError)
+        .finally(() => {
+          replaying = null;
+        });
+    }
+    return replaying;
+  }
+
+  const timer = setInterval(() => dirty && replaySpool(), replayIntervalMs);
+  timer.unref?.();
+  replaySpool();
+
+  async function send(events, options) {
+    try {
+      await transport.send(events, options);
+    } catch (err) {
+      writes++;
+      dirty = true;
+      const undelivered = err.undelivered ?? events;
+      await spool.write(undelivered, err.targets ?? options?.targets);
+      err.undelivered = undelivered;
+      err.message = `${err.message} (${undelivered.length} event(s) spooled)`;
+      err.spooled = true;
+      throw err;
+    }
+    if (dirty) replaySpool();
+  }
+
+  return {
+    ...transport,
+    send,
+    replay: replaySpool,
+    flush: () => transport.flush?.(),
+    close: async () => {
+      clearInterval(timer);
+      await replaying;
+      await transport.close?.();
+    },
+  };
+}
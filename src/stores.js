@@ -0,0 +1,357 @@
+import { createRequire } from "module";
+import {
+  appendFile,
+  mkdir,
+  readdir,
+  readFile,
+  stat,
+  unlink,
+} from "fs/promises";
+import { join } from "path";
+import { pathOf } from "./match.js";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Where a collector keeps received events.
+ *
+ * @typedef {object} CollectorStore
+ * @property {(records: StoredEvent[]) => Promise<void>} append - Store events, in order
+ * @property {(query: EventQuery) => Promise<StoredEvent[]>} query - Matching events, at most `query.limit`
+ * @property {() => Promise<void>} [close] - Release files and handles
+ */
+
+/**
+ * An event as sent, and when the collector received it. The receive time
+ * stays outside the event so integrity hashes still match.
+ *
+ * @typedef {object} StoredEvent
+ * @property {string} receivedAt - ISO timestamp
+ * @property {object} event
+ */
+
+/**
+ * Filters and page of a collector query; all filters are optional
+ *
+ * @typedef {object} EventQuery
+ * @property {string} [userId]
+ * @property {string} [route] - Exact path, or a prefix ending in `*`
+ * @property {string} [from] - ISO timestamp, inclusive
+ * @property {string} [to] - ISO timestamp, exclusive
+ * @property {string} [status] - A status code ('404') or class ('4xx')
+ * @property {string} [country] - ISO country code
+ * @property {number} limit
+ * @property {number} offset
+ * @property {"asc"|"desc"} order - By arrival
+ */
+
+/**
+ * Status codes a `status` filter stands for, as an inclusive range
+ * @param {string} status
+ * @returns {[number, number]}
+ */
+function statusRange(status) {
+  const statusClass = String(status).match(/^([1-5])xx$/i);
+  if (statusClass) {
+    const digit = Number(statusClass[1]);
+    return [digit * 100, digit * 100 + 99];
+  }
+  return [Number(status), Number(status)];
+}
+
+/**
+ * Whether an event matches the filters of a query
+ * @param {object} event
+ * @param {EventQuery} query
+ * @returns {boolean}
+ */
+export function matchesQuery(event, query) {
+  if (query.userId && event.userId !== query.userId) return false;
+  if (query.route) {
+    const path = pathOf(event.route);
+    const matched = query.route.endsWith("*")
+      ? path.startsWith(query.route.slice(0, -1))
+      : path === query.route;
+    if (!matched) return false;
+  }
+  if (query.from && !(event.timestamp >= query.from)) return false;
+  if (query.to && !(event.timestamp < query.to)) return false;
+  if (query.status) {
+    const [min, max] = statusRange(query.status);
+    if (!(event.statusCode >= min && event.statusCode <= max)) return false;
+  }
+  if (query.country && event.country?.toUpperCase() !== query.country) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Store events in NDJSON files, one per day, starting a new file when
+ * one reaches `maxBytes` and deleting the oldest beyond `maxFiles`.
+ * Queries scan the files, so this suits moderate volumes; use SQLite
+ * for larger ones.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Directory for the files (created if missing)
+ * @param {number} [options.maxBytes] - Size at which a new file is started (default: 64MB)
+ * @param {number} [options.maxFiles] - Files kept; 0 keeps all (default: 30)
+ * @returns {CollectorStore}
+ */
+export function createNdjsonStore({
+  dir,
+  maxBytes = 64 * 1024 * 1024,
+  maxFiles = 30,
+}) {
+  if (!dir) {
+    throw new Error("dir is required for the NDJSON store");
+  }
+
+  // audit-2026-01-31.ndjson, then audit-2026-01-31.1.ndjson, ...
+  const FILE = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.ndjson$/;
+
+  let ready = null;
+  let current = null; // { day, index, size }
+  let pending = Promise.resolve();
+
+  async function listFiles() {
+    const names = await readdir(dir).catch(() => []);
+    return names
+      .map((name) => {
+        const match = name.match(FILE);
+        return match && { name, day: match[1], index: Number(match[2] ?? 0) };
+      })
+      .filter(Boolean)
+      .sort((a, b) =>
+        a.day === b.day ? a.index - b.index : a.day < b.day ? -1 : 1
+      );
+  }
+
+  function fileName({ day, index }) {
+    return `audit-${day}${index ? `.${index}` : ""}.ndjson`;
+  }
+
+  async function open() {
+    await mkdir(dir, { recursive: true });
+    const last = (await listFiles()).pop();
+    if (last) {
+      const { size } = await stat(join(dir, last.name));
+      current = { day: last.day, index: last.index, size };
+    }
+  }
+
+  async function prune() {
+    if (!maxFiles) return;
+    const files = await listFiles();
+    for (const file of files.slice(0, Math.max(0, files.length - maxFiles))) {
+      await unlink(join(dir, file.name)).catch(() => {});
+    }
+  }
+
+  async function write(lines) {
+    const bytes = Buffer.byteLength(lines);
+    const day = new Date().toISOString().slice(0, 10);
+
+    let rotated = false;
+    if (!current || current.day !== day) {
+      current = { day, index: 0, size: 0 };
+      rotated = true;
+    } else if (current.size > 0 && current.size + bytes > maxBytes) {
+      current = { day, index: current.index + 1, size: 0 };
+      rotated = true;
+    }
+
+    await appendFile(join(dir, fileName(current)), lines);
+    current.size += bytes;
+    if (rotated) await prune();
+  }
+
+  function append(records) {
+    if (!ready) ready = open();
+    const lines = records
+      .map(
+        ({ receivedAt, event }) => JSON.stringify({ receivedAt, event }) + "\n"
+      )
+      .join("");
+    // Chain writes so rotation sees the sizes of earlier ones
+    const written = pending.then(() => ready).then(() => write(lines));
+    pending = written.catch(() => {});
+    return written;
+  }
+
+  async function query(q) {
+    await pending;
+    const files = await listFiles();
+    if (q.order === "desc") files.reverse();
+
+    const records = [];
+    let skipped = 0;
+    for (const file of files) {
+      const text = await readFile(join(dir, file.name), "utf8").catch(() => "");
+      const lines = text.split("\n").filter(Boolean);
+      if (q.order === "desc") lines.reverse();
+
+      for (const line of lines) {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue; // a partly written last line
+        }
+        // Files written before the envelope hold bare events
+        if (typeof record.event !== "object" || record.event === null) {
+          record = { receivedAt: record.receivedAt ?? null, event: record };
+        }
+        if (!matchesQuery(record.event, q)) continue;
+        if (skipped < q.offset) {
+          skipped++;
+          continue;
+        }
+        records.push(record);
+        if (records.length >= q.limit) return records;
+      }
+    }
+    return records;
+  }
+
+  return {
+    name: "ndjson",
+    append,
+    query,
+    close: () => pending,
+  };
+}
+
+/**
+ * Open a SQLite database with `node:sqlite` (Node 22.5+) or the optional
+ * `better-sqlite3` package; both offer the synchronous API used here
+ * @param {string} path
+ */
+function openDatabase(path) {
+  try {
+    const { DatabaseSync } = require("node:sqlite");
+    return new DatabaseSync(path);
+  } catch {
+    // not available in this Node version
+  }
+  try {
+    const Database = require("better-sqlite3");
+    return new Database(path);
+  } catch {
+    throw new Error(
+      "The SQLite store needs Node 22.5+ (node:sqlite) or the better-sqlite3 package"
+    );
+  }
+}
+
+/**
+ * Store events in a SQLite database. Filtered columns are indexed; the
+ * full event is kept as JSON.
+ *
+ * @param {object} options
+ * @param {string} options.path - Database file (':memory:' for tests)
+ * @returns {CollectorStore}
+ */
+export function createSqliteStore({ path }) {
+  if (!path) {
+    throw new Error("path is required for the SQLite store");
+  }
+
+  const db = openDatabase(path);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      received_at TEXT NOT NULL,
+      timestamp TEXT,
+      user_id TEXT,
+      path TEXT,
+      status_code INTEGER,
+      country TEXT,
+      event TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS audit_events_timestamp ON audit_events (timestamp);
+    CREATE INDEX IF NOT EXISTS audit_events_user_id ON audit_events (user_id, timestamp);
+    CREATE INDEX IF NOT EXISTS audit_events_path ON audit_events (path);
+  `);
+
+  const insert = db.prepare(`
+    INSERT INTO audit_events
+      (received_at, timestamp, user_id, path, status_code, country, event)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  async function append(records) {
+    db.exec("BEGIN");
+    try {
+      for (const { receivedAt, event } of records) {
+        insert.run(
+          receivedAt,
+          event.timestamp ?? null,
+          event.userId ?? null,
+          event.route ? pathOf(event.route) : null,
+          Number.isInteger(event.statusCode) ? event.statusCode : null,
+          event.country ? String(event.country).toUpperCase() : null,
+          JSON.stringify(event)
+        );
+      }
+      db.exec("COMMIT");
+    } catch (err) {
+      db.exec("ROLLBACK");
+      throw err;
+    }
+  }
+
+  async function query(q) {
+    const where = [];
+    const params = [];
+    if (q.userId) {
+      where.push("user_id = ?");
+      params.push(q.userId);
+    }
+    if (q.route) {
+      if (q.route.endsWith("*")) {
+        where.push("path LIKE ? ESCAPE '\\'");
+        params.push(q.route.slice(0, -1).replace(/[\\%_]/g, "\\$&") + "%");
+      } else {
+        where.push("path = ?");
+        params.push(q.route);
+      }
+    }
+    if (q.from) {
+      where.push("timestamp >= ?");
+      params.push(q.from);
+    }
+    if (q.to) {
+      where.push("timestamp < ?");
+      params.push(q.to);
+    }
+    if (q.status) {
+      where.push("status_code BETWEEN ? AND ?");
+      params.push(...statusRange(q.status));
+    }
+    if (q.country) {
+      where.push("country = ?");
+      params.push(q.country);
+    }
+
+    const rows = db
+      .prepare(
+        `SELECT received_at, event FROM audit_events
+         ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+         ORDER BY id ${q.order === "asc" ? "ASC" : "DESC"}
+         LIMIT ? OFFSET ?`
+      )
+      .all(...params, q.limit, q.offset);
+    return rows.map((row) => ({
+      receivedAt: row.received_at,
+      event: JSON.parse(row.event),
+    }));
+  }
+
+  return {
+    name: "sqlite",
+    append,
+    query,
+    close: async () => db.close(),
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Milliseconds between two `process.hrtime.bigint()` readings,
+ * to the microsecond
+ * @param {bigint} start
+ * @param {bigint} [end]
+ * @returns {number}
+ */
+export function elapsedMs(start, end = process.hrtime.bigint()) {
+  return Math.round(Number(end - start) / 1000) / 1000;
+}
+
+function byteLength(chunk, encoding) {
+  if (chunk === undefined || chunk === null || typeof chunk === "function") {
+    return 0;
+  }
+  if (typeof chunk === "string") {
+    const charset = typeof encoding === "string" ? encoding : "utf8";
+    return Buffer.byteLength(chunk, charset);
+  }
+  return chunk.byteLength ?? chunk.length ?? 0;
+}
+
+/**
+ * Measure a Node `ServerResponse`: start time, time to first byte and the
+ * body bytes actually written, including streamed and chunked bodies.
+ * Call as early as possible in the request.
+ *
+ * @param {import("http").ServerResponse} res
+ * @returns {{ start: bigint, summary(): { duration: number, ttfb: number|null, responseSize: number } }}
+ */
+export function instrumentResponse(res) {
+  if (res.auditProbe) {
+    return res.auditProbe;
+  }
+
+  const start = process.hrtime.bigint();
+  let firstByte = null;
+  let bytes = 0;
+
+  const markFirstByte = () => {
+    if (firstByte === null) firstByte = process.hrtime.bigint();
+  };
+
+  const { writeHead, write, end } = res;
+
+  res.writeHead = function (...args) {
+    markFirstByte();
+    return writeHead.apply(this, args);
+  };
+  res.write = function (...args) {
+    markFirstByte();
+    bytes += byteLength(args[0], args[1]);
+    return write.apply(this, args);
+  };
+  res.end = function (...args) {
+    markFirstByte();
+    bytes += byteLength(args[0], args[1]);
+    return end.apply(this, args);
+  };
+
+  const probe = {
+    start,
+    summary() {
+      return {
+        duration: elapsedMs(start),
+        ttfb: firstByte === null ? null : elapsedMs(start, firstByte),
+        // HEAD responses never carry the body that was written
+        responseSize: res.req?.method === "HEAD" ? 0 : bytes,
+      };
+    },
+  };
+  res.auditProbe = probe;
+  return probe;
+}
+
+/**
+ * Request body size from its Content-Length header
+ * @param {object} headers
+ * @returns {number}
+ */
+export function requestSizeOf(headers) {
+  const size = Number(headers?.["content-length"]);
+  return Number.isFinite(size) && size >= 0 ? size : 0;
+}
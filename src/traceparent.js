@@ -0,0 +1,41 @@
+/**
+ * Request id and W3C trace context parsing. Shared with the edge adapter,
+ * so only Web APIs here.
+ */
+
+const SAFE_ID = /^[\w.:@/+=-]{1,200}$/;
+const TRACEPARENT = /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-[\da-f]{2}$/;
+
+function headerValue(headers, name) {
+  if (typeof headers?.get === "function") return headers.get(name);
+  const value = headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Parse a W3C `traceparent` header
+ * @param {string} header
+ * @returns {{ traceId: string, parentId: string }|null}
+ */
+export function parseTraceparent(header) {
+  const match = typeof header === "string" && header.trim().match(TRACEPARENT);
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], parentId: match[2] };
+}
+
+/**
+ * The request id a request came with: a well-formed request id header,
+ * else the trace id of its `traceparent`
+ * @param {object|Headers} headers - Node headers object or Fetch `Headers`
+ * @param {string} [header] - Request id header (default: 'x-request-id')
+ * @returns {string|null}
+ */
+export function incomingRequestId(headers, header = "x-request-id") {
+  const incoming = headerValue(headers, header);
+  if (typeof incoming === "string" && SAFE_ID.test(incoming.trim())) {
+    return incoming.trim();
+  }
+  return parseTraceparent(headerValue(headers, "traceparent"))?.traceId ?? null;
+}
@@ -0,0 +1,315 @@
+import { createHmac } from "crypto";
+import { appendFile, mkdir } from "fs/promises";
+import { dirname } from "path";
+import fetch from "node-fetch";
+import {
+  createKafkaTransport,
+  createMongoTransport,
+  createPostgresTransport,
+  createSyslogTransport,
+} from "./sinks.js";
+
+/**
+ * A transport delivers audit events somewhere.
+ *
+ * @typedef {object} AuditTransport
+ * @property {(events: object[], options?: SendOptions) => Promise<void>} send - Deliver events, throws on failure
+ * @property {() => Promise<void>} [flush] - Wait for pending writes
+ * @property {() => Promise<void>} [close] - Flush and release resources
+ */
+
+/**
+ * A failed `send` may have delivered part of the batch. It then throws
+ * with `err.undelivered`, the events that were not accepted, and a multi
+ * transport also sets `err.targets`. Retries and the spool resend
+ * `err.undelivered` with `{ targets: err.targets }`, so accepted events
+ * are not delivered twice.
+ *
+ * @typedef {object} SendOptions
+ * @property {Record<number, number[]>} [targets] - Multi transport only: positions in `events` to send, by transport index
+ */
+
+/**
+ * Signature of a request body for the `x-audit-signature` header:
+ * `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+ * @param {string|Buffer} secret
+ * @param {string} body
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ * @returns {string}
+ */
+export function signBody(
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000)
+) {
+  const digest = createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * POST audit events to an HTTP endpoint
+ * @param {object} options
+ * @param {string} options.url - Endpoint receiving the events
+ * @param {object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout] - Request timeout in ms (default: 10000)
+ * @param {boolean} [options.batch] - POST each batch as one JSON array instead of one request per event
+ * @param {object} [options.hmac] - Sign each request body (see `signBody`)
+ * @param {string|Buffer} options.hmac.secret
+ * @param {string} [options.hmac.keyId] - Sent as `x-audit-key-id`
+ * @returns {AuditTransport}
+ */
+export function createHttpTransport({
+  url,
+  headers = {},
+  timeout = 10000,
+  batch = false,
+  hmac,
+}) {
+  if (!url) {
+    throw new Error("url is required for http transport");
+  }
+
+  async function post(payload) {
+    const body = JSON.stringify(payload);
+    // AbortSignal.timeout needs Node 16.14; Node 14 has no AbortController,
+    // so there the request is only abandoned
+    const controller =
+      typeof AbortController === "function" ? new AbortController() : null;
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(new Error(`Audit request timed out after ${timeout}ms`));
+      }, timeout);
+    });
+    const request = fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        Accept: "application/json",
+        ...headers,
+        ...(hmac && {
+          "x-audit-signature": signBody(hmac.secret, body),
+          ...(hmac.keyId && { "x-audit-key-id": hmac.keyId }),
+        }),
+      },
+      body,
+      signal: controller?.signal,
+    });
+    const res = await Promise.race([request, timedOut]).finally(() =>
+      clearTimeout(timer)
+    );
+
+    if (!res.ok) {
+      const errorText = await res.text().catch(() => "Unknown error");
+      const err = new Error(`Audit save failed: ${res.status} ${errorText}`);
+      err.status = res.status;
+      throw err;
+    }
+  }
+
+  async function send(events) {
+    if (batch) {
+      return post(events);
+    }
+    for (let i = 0; i < events.length; i++) {
+      try {
+        await post(events[i]);
+      } catch (err) {
+        err.undelivered = events.slice(i);
+        throw err;
+      }
+    }
+  }
+
+  return { name: "http", send, flush: async () => {}, close: async () => {} };
+}
+
+/**
+ * Append audit events to a local file as newline-delimited JSON
+ * @param {object} options
+ * @param {string} options.path - File to append to (parent dirs are created)
+ * @returns {AuditTransport}
+ */
+export function createFileTransport({ path }) {
+  if (!path) {
+    throw new Error("path is required for file transport");
+  }
+
+  let ready = null;
+  let pending = Promise.resolve();
+
+  function send(events) {
+    if (!ready) {
+      ready = mkdir(dirname(path), { recursive: true });
+    }
+
+    const lines = events.map((event) => JSON.stringify(event) + "\n").join("");
+    // Chain writes so lines land in the order they were sent
+    const write = pending.then(() => ready).then(() => appendFile(path, lines));
+    pending = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    name: "file",
+    send,
+    flush: () => pending,
+    close: () => pending,
+  };
+}
+
+/**
+ * Write audit events to stdout, one JSON document per line
+ * @param {object} [options]
+ * @param {import("stream").Writable} [options.stream] - Target stream (default: process.stdout)
+ * @returns {AuditTransport}
+ */
+export function createStdoutTransport({ stream = process.stdout } = {}) {
+  async function send(events) {
+    for (const event of events) {
+      stream.write(JSON.stringify(event) + "\n");
+    }
+  }
+
+  return { name: "stdout", send, flush: async () => {}, close: async () => {} };
+}
+
+/**
+ * Keep audit events in memory, mainly for tests
+ * @returns {AuditTransport & { events: object[], clear(): void }}
+ */
+export function createMemoryTransport() {
+  const events = [];
+
+  async function send(batch) {
+    events.push(...batch);
+  }
+
+  return {
+    name: "memory",
+    events,
+    send,
+    clear: () => {
+      events.length = 0;
+    },
+    flush: async () => {},
+    close: async () => {},
+  };
+}
+
+/**
+ * Deliver to several transports at once; fails if any of them fails
+ * @param {AuditTransport[]} transports
+ * @returns {AuditTransport}
+ */
+export function createMultiTransport(transports) {
+  async function each(method, ...args) {
+    const results = await Promise.allSettled(
+      transports.map((t) => (t[method] ? t[method](...args) : undefined))
+    );
+    const failed = results.filter((r) => r.status === "rejected");
+
+    if (failed.length) {
+      throw new Error(failed.map((r) => r.reason?.message).join("; "));
+    }
+  }
+
+  async function send(events, { targets } = {}) {
+    const all = events.map((_, position) => position);
+    const selected = targets
+      ? Object.keys(targets).map(Number)
+      : transports.map((_, index) => index);
+    const positionsOf = (index) => (targets ? targets[index] : all);
+
+    const results = await Promise.allSettled(
+      selected.map((index) =>
+        transports[index].send(
+          positionsOf(index).map((position) => events[position])
+        )
+      )
+    );
+
+    // Positions in `events` each failed transport still has to receive
+    const pending = new Map();
+    results.forEach((result, i) => {
+      if (result.status === "fulfilled") return;
+      const positions = positionsOf(selected[i]);
+      const undelivered = result.reason?.undelivered;
+      pending.set(
+        selected[i],
+        undelivered
+          ? positions.filter((position) =>
+              undelivered.includes(events[position])
+            )
+          : positions
+      );
+    });
+    if (!pending.size) return;
+
+    const union = [...new Set([...pending.values()].flat())].sort(
+      (a, b) => a - b
+    );
+    const err = new Error(
+      results
+        .filter((r) => r.status === "rejected")
+        .map((r) => r.reason?.message)
+        .join("; ")
+    );
+    err.undelivered = union.map((position) => events[position]);
+    err.targets = Object.fromEntries(
+      [...pending].map(([index, positions]) => [
+        index,
+        positions.map((position) => union.indexOf(position)),
+      ])
+    );
+    throw err;
+  }
+
+  return {
+    name: "multi",
+    transports,
+    send,
+    flush: () => each("flush"),
+    close: () => each("close"),
+  };
+}
+
+const builtInTransports = {
+  http: createHttpTransport,
+  file: createFileTransport,
+  stdout: createStdoutTransport,
+  memory: createMemoryTransport,
+  postgres: createPostgresTransport,
+  mongodb: createMongoTransport,
+  kafka: createKafkaTransport,
+  syslog: createSyslogTransport,
+};
+
+/**
+ * Turn a `transport` option into a transport instance.
+ * Accepts a transport object, a built-in name ("stdout", "memory"),
+ * or a config object such as `{ type: "file", path: "./audit.ndjson" }`
+ * or `{ type: "syslog", protocol: "tcp" }`.
+ * @param {string|object} spec
+ * @returns {AuditTransport}
+ */
+export function resolveTransport(spec) {
+  if (typeof spec === "string") {
+    spec = { type: spec };
+  }
+
+  if (spec && typeof spec.send === "function") {
+    return spec;
+  }
+
+  const factory = spec && builtInTransports[spec.type];
+  if (!factory) {
+    throw new Error(`Unknown audit transport: ${spec?.type ?? spec}`);
+  }
+
+  const { type, ...options } = spec;
+  return factory(options);
+}
@@ -0,0 +1,398 @@
+import { createLruCache } from "./lru.js";
+
+/**
+ * Structured client details derived from the User-Agent string and,
+ * when the browser sends them, User-Agent Client Hints
+ *
+ * @typedef {object} ClientInfo
+ * @property {{ name: string|null, version: string|null }} browser
+ * @property {{ name: string|null, version: string|null }} os
+ * @property {{ type: "desktop"|"mobile"|"tablet"|"tv"|"console"|"bot"|"unknown", vendor: string|null, model: string|null }} device
+ * @property {boolean} isBot
+ * @property {{ name: string, category: "search"|"ai"|"preview"|"seo"|"monitoring"|"automation"|"library"|"crawler" }|null} bot
+ */
+
+// First match wins; specific names before the generic fallback
+const BOTS = [
+  [
+    /Googlebot|Google-InspectionTool|AdsBot-Google|Mediapartners-Google/,
+    "Googlebot",
+    "search",
+  ],
+  [/bingbot|BingPreview|adidxbot/i, "Bingbot", "search"],
+  [/Yahoo! Slurp/, "Yahoo Slurp", "search"],
+  [/DuckDuckBot|DuckAssistBot/, "DuckDuckBot", "search"],
+  [/Baiduspider/, "Baiduspider", "search"],
+  [/YandexBot|YandexMobileBot/, "YandexBot", "search"],
+  [/Applebot/, "Applebot", "search"],
+  [/Sogou/, "Sogou", "search"],
+  [/SeznamBot/, "SeznamBot", "search"],
+  [/PetalBot/, "PetalBot", "search"],
+  [/GPTBot|ChatGPT-User|OAI-SearchBot/, "OpenAI", "ai"],
+  [/ClaudeBot|Claude-User|Claude-SearchBot|anthropic-ai/, "Anthropic", "ai"],
+  [/PerplexityBot|Perplexity-User/, "Perplexity", "ai"],
+  [/CCBot/, "Common Crawl", "ai"],
+  [/Bytespider/, "Bytespider", "ai"],
+  [/Amazonbot/, "Amazonbot", "ai"],
+  [/meta-externalagent|meta-externalfetcher/, "Meta", "ai"],
+  [/facebookexternalhit|Facebot/, "Facebook", "preview"],
+  [/Twitterbot/, "Twitterbot", "preview"],
+  [/LinkedInBot/, "LinkedInBot", "preview"],
+  [/Slackbot/, "Slackbot", "preview"],
+  [/Discordbot/, "Discordbot", "preview"],
+  [/TelegramBot/, "TelegramBot", "preview"],
+  [/WhatsApp/, "WhatsApp", "preview"],
+  [/Pinterestbot|Pinterest\//, "Pinterest", "preview"],
+  [/redditbot/, "Redditbot", "preview"],
+  [/SkypeUriPreview/, "Skype", "preview"],
+  [/AhrefsBot/, "AhrefsBot", "seo"],
+  [/SemrushBot/, "SemrushBot", "seo"],
+  [/MJ12bot/, "MJ12bot", "seo"],
+  [/DotBot/, "DotBot", "seo"],
+  [/Screaming Frog/, "Screaming Frog", "seo"],
+  [/UptimeRobot/, "UptimeRobot", "monitoring"],
+  [/Pingdom/, "Pingdom", "monitoring"],
+  [/StatusCake/, "StatusCake", "monitoring"],
+  [/Site24x7/, "Site24x7", "monitoring"],
+  [/ELB-HealthChecker/, "ELB-HealthChecker", "monitoring"],
+  [/kube-probe/, "kube-probe", "monitoring"],
+  [/GoogleStackdriverMonitoring/, "Google Cloud Monitoring", "monitoring"],
+  [/HeadlessChrome/, "HeadlessChrome", "automation"],
+  [/PhantomJS/, "PhantomJS", "automation"],
+  [/^curl\//, "curl", "library"],
+  [/^Wget\//, "Wget", "library"],
+  [/python-requests|python-urllib|aiohttp|python-httpx/i, "Python", "library"],
+  [/Go-http-client/, "Go", "library"],
+  [/^node-fetch|^undici|^axios\/|^got /, "Node.js", "library"],
+  [/^Java\/|Apache-HttpClient/, "Java", "library"],
+  [/libwww-perl/, "Perl", "library"],
+  [/PostmanRuntime/, "Postman", "library"],
+  [/insomnia\//, "Insomnia", "library"],
+];
+
+const GENERIC_BOT = /bot\b|crawl|spider|slurp|scrape|archiver|fetcher|monitor/i;
+
+// [pattern, name]; the first capture group is the version
+const BROWSERS = [
+  [/Edg(?:e|A|iOS)?\/([\d.]+)/, "Edge"],
+  [/(?:OPR|OPT)\/([\d.]+)/, "Opera"],
+  [/Opera.*Version\/([\d.]+)/, "Opera"],
+  [/SamsungBrowser\/([\d.]+)/, "Samsung Internet"],
+  [/YaBrowser\/([\d.]+)/, "Yandex"],
+  [/UCBrowser\/([\d.]+)/, "UC Browser"],
+  [/Vivaldi\/([\d.]+)/, "Vivaldi"],
+  [/FBAV\/([\d.]+)/, "Facebook"],
+  [/Instagram ([\d.]+)/, "Instagram"],
+  [/(?:Firefox|FxiOS)\/([\d.]+)/, "Firefox"],
+  [/CriOS\/([\d.]+)/, "Chrome"],
+  [/Electron\/([\d.]+)/, "Electron"],
+  [/; wv\).*Chrome\/([\d.]+)/, "Chrome WebView"],
+  [/Chromium\/([\d.]+)/, "Chromium"],
+  [/Chrome\/([\d.]+)/, "Chrome"],
+  [/Version\/([\d.]+).*Safari\//, "Safari"],
+  [/MSIE ([\d.]+)/, "Internet Explorer"],
+  [/Trident\/.*rv:([\d.]+)/, "Internet Explorer"],
+];
+
+const WINDOWS_VERSIONS = {
+  "10.0": "10",
+  6.3: "8.1",
+  6.2: "8",
+  6.1: "7",
+  "6.0": "Vista",
+  5.2: "XP",
+  5.1: "XP",
+};
+
+// [pattern, name, version from the first capture group]
+const SYSTEMS = [
+  [/Windows Phone(?: OS)? ([\d.]+)/, "Windows Phone"],
+  [
+    /Windows NT ([\d.]+)/,
+    "Windows",
+    (version) => WINDOWS_VERSIONS[version] ?? version,
+  ],
+  [/(?:iPhone|iPad|iPod).*? OS ([\d_]+)/, "iOS"],
+  [/Mac OS X ([\d_.]+)/, "macOS"],
+  [/HarmonyOS(?: ([\d.]+))?/, "HarmonyOS"],
+  [/Android(?: ([\d.]+))?/, "Android"],
+  [/CrOS \S+ ([\d.]+)/, "Chrome OS"],
+  [/PlayStation (\d+)/, "PlayStation"],
+  [/Xbox/, "Xbox"],
+  [/Tizen(?:\/| )?([\d.]+)?/, "Tizen"],
+  [/Web0S|webOS/, "webOS"],
+  [/Linux/, "Linux"],
+];
+
+const VENDORS = [
+  [/iPhone|iPad|iPod|Macintosh|AppleTV/, "Apple"],
+  [/SM-[A-Z]\d|Galaxy|SAMSUNG|Tizen/i, "Samsung"],
+  [/Pixel/, "Google"],
+  [/HUAWEI|Huawei|HONOR/, "Huawei"],
+  [/Redmi|POCO|Xiaomi|\bMi \d/, "Xiaomi"],
+  [/OnePlus|ONEPLUS/, "OnePlus"],
+  [/moto|Motorola/, "Motorola"],
+  [/Nokia/, "Nokia"],
+  [/\bLG[-_ ]|LM-[A-Z]\d/, "LG"],
+  [/PlayStation/, "Sony"],
+  [/Xbox/, "Microsoft"],
+  [/Nintendo/, "Nintendo"],
+  [/Roku/, "Roku"],
+  [/AFT[A-Z]|Kindle|Silk\//, "Amazon"],
+];
+
+function vendorOf(text) {
+  const vendor = VENDORS.find(([pattern]) => pattern.test(text));
+  return vendor ? vendor[1] : null;
+}
+
+function deviceTypeOf(ua) {
+  if (/PlayStation|Xbox|Nintendo/.test(ua)) return "console";
+  if (
+    /SmartTV|SMART-TV|Tizen.+TV|Web0S|webOS.+TV|AppleTV|CrKey|Roku|\bAFT[A-Z]|BRAVIA/i.test(
+      ua
+    )
+  ) {
+    return "tv";
+  }
+  if (/iPad|Tablet|Kindle|Silk\/|PlayBook/.test(ua)) return "tablet";
+  if (/Android/.test(ua) && !/Mobile/.test(ua)) return "tablet";
+  if (/Mobi|iPhone|iPod|Windows Phone|Opera Mini/.test(ua)) return "mobile";
+  if (/Windows NT|Macintosh|X11|CrOS/.test(ua)) return "desktop";
+  return "unknown";
+}
+
+function modelOf(ua) {
+  const apple = ua.match(/\((iPhone|iPad|iPod)/);
+  if (apple) return apple[1];
+  const android = ua.match(
+    /Android[^;)]*;(?: [a-z]{2}[-_][a-zA-Z]{2};)? ([^;]+?)(?: Build\/[^;)]*)?(?=;|\) )/
+  );
+  // Reduced User-Agent strings replace the model with "K"
+  if (android && android[1] !== "K") return android[1].trim();
+  return null;
+}
+
+/**
+ * Classify a User-Agent as a bot
+ * @param {string} ua
+ * @returns {{ name: string, category: string }|null}
+ */
+function botOf(ua) {
+  for (const [pattern, name, category] of BOTS) {
+    if (pattern.test(ua)) return { name, category };
+  }
+  const generic = ua.match(GENERIC_BOT);
+  if (generic) {
+    const token = ua.match(/([\w-]*(?:bot|crawler|spider)[\w-]*)/i);
+    return { name: token ? token[1] : "Unknown", category: "crawler" };
+  }
+  return null;
+}
+
+/**
+ * Unquote a structured header string: `"Windows"` -> `Windows`
+ * @param {string} [value]
+ */
+function unquote(value) {
+  if (typeof value !== "string") return null;
+  const text = value.trim().replace(/^"(.*)"$/, "$1");
+  return text || null;
+}
+
+// Brands from client hints, most specific first
+const HINT_BRANDS = [
+  ["Microsoft Edge", "Edge"],
+  ["Opera", "Opera"],
+  ["Brave", "Brave"],
+  ["YaBrowser", "Yandex"],
+  ["Yandex", "Yandex"],
+  ["Vivaldi", "Vivaldi"],
+  ["Samsung Internet", "Samsung Internet"],
+  ["Google Chrome", "Chrome"],
+  ["HeadlessChrome", "HeadlessChrome"],
+  ["Chromium", "Chromium"],
+];
+
+/**
+ * Browser named by `sec-ch-ua-full-version-list` or `sec-ch-ua`
+ * @param {string} header - e.g. `"Chromium";v="124", "Google Chrome";v="124", "Not-A.Brand";v="99"`
+ * @returns {{ name: string, version: string|null }|null}
+ */
+function brandOf(header) {
+  const brands = new Map();
+  for (const match of header.matchAll(/"([^"]*)"\s*;\s*v\s*=\s*"([^"]*)"/g)) {
+    brands.set(match[1], match[2]);
+  }
+  for (const [brand, name] of HINT_BRANDS) {
+    if (brands.has(brand)) return { name, version: brands.get(brand) || null };
+  }
+  return null;
+}
+
+const HINT_PLATFORMS = {
+  Windows: "Windows",
+  macOS: "macOS",
+  Android: "Android",
+  iOS: "iOS",
+  "Chrome OS": "Chrome OS",
+  "Chromium OS": "Chrome OS",
+  Linux: "Linux",
+};
+
+/**
+ * Operating system version from `sec-ch-ua-platform-version`; Windows
+ * reports 13 and above for Windows 11
+ */
+function platformVersionOf(platform, version) {
+  if (!version) return null;
+  if (platform === "Windows") {
+    const major = Number(version.split(".")[0]);
+    if (major >= 13) return "11";
+    if (major > 0) return "10";
+    return null;
+  }
+  return version;
+}
+
+/**
+ * Refine the User-Agent result with Client Hints headers; they carry
+ * what reduced User-Agent strings freeze (OS version, device model)
+ * @param {ClientInfo} info
+ * @param {object} headers - Lower-case request headers
+ */
+function applyClientHints(info, headers) {
+  const brandHeader =
+    headers["sec-ch-ua-full-version-list"] ?? headers["sec-ch-ua"];
+  const brand = typeof brandHeader === "string" ? brandOf(brandHeader) : null;
+  if (brand && !info.isBot) {
+    const fullVersion = unquote(headers["sec-ch-ua-full-version"]);
+    info.browser = {
+      name: brand.name,
+      version:
+        fullVersion && !headers["sec-ch-ua-full-version-list"]
+          ? fullVersion
+          : brand.version,
+    };
+  }
+
+  const platform = unquote(headers["sec-ch-ua-platform"]);
+  if (platform && HINT_PLATFORMS[platform]) {
+    const name = HINT_PLATFORMS[platform];
+    const version = platformVersionOf(
+      platform,
+      unquote(headers["sec-ch-ua-platform-version"])
+    );
+    info.os = {
+      name,
+      version: version ?? (info.os.name === name ? info.os.version : null),
+    };
+  }
+
+  const model = unquote(headers["sec-ch-ua-model"]);
+  if (model) {
+    info.device.model = model;
+    if (!info.device.vendor) info.device.vendor = vendorOf(model);
+  }
+
+  const mobile = headers["sec-ch-ua-mobile"];
+  const formFactors = headers["sec-ch-ua-form-factors"] ?? "";
+  if (!info.isBot && /"Tablet"/i.test(formFactors)) {
+    info.device.type = "tablet";
+  } else if (!info.isBot && mobile === "?1") {
+    info.device.type = "mobile";
+  } else if (!info.isBot && mobile === "?0" && info.device.type === "mobile") {
+    info.device.type = platform === "Android" ? "tablet" : "desktop";
+  }
+}
+
+/**
+ * Parse a User-Agent string, refined by Client Hints headers when given
+ * @param {string} [userAgent]
+ * @param {object} [headers] - Lower-case request headers carrying `sec-ch-ua*`
+ * @returns {ClientInfo}
+ */
+export function parseUserAgent(userAgent, headers) {
+  const ua = typeof userAgent === "string" ? userAgent : "";
+  const bot = ua ? botOf(ua) : null;
+
+  let browser = { name: null, version: null };
+  for (const [pattern, name] of BROWSERS) {
+    const match = ua.match(pattern);
+    if (match) {
+      browser = { name, version: match[1] ?? null };
+      break;
+    }
+  }
+
+  let os = { name: null, version: null };
+  for (const [pattern, name, mapVersion] of SYSTEMS) {
+    const match = ua.match(pattern);
+    if (match) {
+      const raw = match[1]?.replace(/_/g, ".") ?? null;
+      os = { name, version: raw && mapVersion ? mapVersion(raw) : raw };
+      break;
+    }
+  }
+
+  const info = {
+    browser,
+    os,
+    device: {
+      type: bot ? "bot" : deviceTypeOf(ua),
+      vendor: vendorOf(ua),
+      model: modelOf(ua),
+    },
+    isBot: !!bot,
+    bot,
+  };
+
+  if (headers) applyClientHints(info, headers);
+  return info;
+}
+
+const HINT_HEADERS = [
+  "sec-ch-ua",
+  "sec-ch-ua-full-version-list",
+  "sec-ch-ua-full-version",
+  "sec-ch-ua-mobile",
+  "sec-ch-ua-platform",
+  "sec-ch-ua-platform-version",
+  "sec-ch-ua-model",
+  "sec-ch-ua-form-factors",
+];
+
+/**
+ * Cached `parseUserAgent`: the same User-Agent and hints are parsed once
+ * @param {object} [options]
+ * @param {number} [options.cacheSize] - Distinct User-Agents kept (default: 1000)
+ * @param {boolean} [options.clientHints] - Read `sec-ch-ua*` headers (default: true)
+ * @returns {(userAgent: string, headers?: object) => ClientInfo}
+ */
+export function createUserAgentParser({
+  cacheSize = 1000,
+  clientHints = true,
+} = {}) {
+  const cache = createLruCache({ max: cacheSize });
+
+  return function parse(userAgent, headers) {
+    const hints = clientHints && headers ? headers : null;
+    const key = hints
+      ? [userAgent, ...HINT_HEADERS.map((name) => hints[name] ?? "")].join("\n")
+      : String(userAgent ?? "");
+
+    let info = cache.get(key);
+    if (!info) {
+      info = parseUserAgent(userAgent, hints);
+      cache.set(key, info);
+    }
+    // Events are redacted and serialised separately; do not share objects
+    return {
+      browser: { ...info.browser },
+      os: { ...info.os },
+      device: { ...info.device },
+      isBot: info.isBot,
+      bot: info.bot && { ...info.bot },
+    };
+  };
+}
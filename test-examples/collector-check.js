@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+// Sends integrity-sealed events through the HTTP transport to the
+// reference collector, reads them back with GET /events and verifies the
+// chain, once per store.
+
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  createAuditCollector,
+  createAuditServer,
+  verifyAuditChain,
+} from "../index.js";
+
+const SECRET = "collector-check-secret";
+const API_KEY = "collector-check-key";
+
+async function check(store, path) {
+  const collector = createAuditCollector({ store, path, apiKeys: [API_KEY] });
+  const server = await collector.listen(0, "127.0.0.1");
+  const url = `http://127.0.0.1:${server.address().port}/events`;
+
+  const auditServer = createAuditServer({
+    transport: { type: "http", url, headers: { "x-api-key": API_KEY } },
+    enableGeo: false,
+    integrity: { secret: SECRET },
+    onError: (err) => console.error("❌ Audit Error:", err.message),
+  });
+
+  try {
+    await auditServer.log({ action: "first" });
+    await auditServer.log({ action: "second" });
+    await auditServer.log({ action: "third" });
+    await auditServer.flush();
+
+    const res = await fetch(`${url}?order=asc`, {
+      headers: { "x-api-key": API_KEY },
+    });
+    const body = await res.json();
+    const result = verifyAuditChain(body.events, SECRET);
+
+    if (body.events.length !== 3) {
+      throw new Error(`expected 3 events, got ${body.events.length}`);
+    }
+    if (!result.valid) {
+      throw new Error(JSON.stringify(result.errors));
+    }
+    if (body.receivedAt.some((at) => typeof at !== "string")) {
+      throw new Error("receivedAt is missing");
+    }
+    console.log(`✅ ${store}: ${body.events.length} events verified`);
+  } finally {
+    await auditServer.close();
+    await collector.close();
+  }
+}
+
+const dir = await mkdtemp(join(tmpdir(), "audit-collector-check-"));
+let failed = false;
+try {
+  for (const [store, path] of [
+    ["ndjson", join(dir, "events")],
+    ["sqlite", join(dir, "events.db")],
+  ]) {
+    try {
+      await check(store, path);
+    } catch (err) {
+      if (store === "sqlite" && /needs Node 22\.5\+/.test(err.message)) {
+        console.log(`⏭️  sqlite: skipped (${err.message})`);
+        continue;
+      }
+      console.log(`❌ ${store}: ${err.message}`);
+      failed = true;
+    }
+  }
+} finally {
+  await rm(dir, { recursive: true, force: true });
+}
+process.exit(failed ? 1 : 0);
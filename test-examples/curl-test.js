@@ -106,7 +106,7 @@ async function testAuditServer() {
     if (events.data.events.length > 0) {
       console.log('\n📊 Recent Events:');
       events.data.events.slice(-3).forEach((event, index) => {
-        console.log(`${index + 1}. ${event.route} - ${event.userId} - ${event.duration}s`);
+        console.log(`${index + 1}. ${event.route} - ${event.userId} - ${event.duration}ms`);
       });
     }
   } else {
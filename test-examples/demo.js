@@ -161,7 +161,7 @@ async function runDemo() {
       console.log('\n📊 Recent Events:');
       events.slice(-5).forEach((event, index) => {
         const time = new Date(event.timestamp).toLocaleTimeString();
-        console.log(`   ${index + 1}. ${time} - ${event.route} (${event.userId}) - ${event.duration}s`);
+        console.log(`   ${index + 1}. ${time} - ${event.route} (${event.userId}) - ${event.duration}ms`);
       });
     }
   } else {
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+// Seals events with an Ed25519 key and checks that verifyAuditChain
+// accepts them and rejects a forgery that switches the events to HMAC,
+// keyed with the public key.
+
+import { createHmac, generateKeyPairSync } from "crypto";
+import { createAuditServer, verifyAuditChain } from "../index.js";
+import { hashAuditEvent } from "../src/integrity.js";
+
+const { privateKey, publicKey } = generateKeyPairSync("ed25519");
+const publicPem = publicKey.export({ type: "spki", format: "pem" });
+
+// What an attacker can do without the private key
+function forge(events, secret) {
+  let prevHash = null;
+  return events.map((event) => {
+    const { hash, signature, ...rest } = event;
+    const forged = {
+      ...rest,
+      action: "rewritten",
+      prevHash,
+      signatureAlg: "hmac-sha256",
+    };
+    const forgedHash = hashAuditEvent(forged);
+    prevHash = forgedHash;
+    return {
+      ...forged,
+      hash: forgedHash,
+      signature: createHmac("sha256", secret)
+        .update(forgedHash)
+        .digest("base64"),
+    };
+  });
+}
+
+const auditServer = createAuditServer({
+  transport: "memory",
+  enableGeo: false,
+  integrity: { privateKey },
+});
+const events = [];
+for (const action of ["first", "second", "third"]) {
+  events.push(await auditServer.log({ action }));
+}
+await auditServer.close();
+
+const checks = [
+  ["genuine events, PEM key", verifyAuditChain(events, publicPem), true],
+  ["genuine events, KeyObject", verifyAuditChain(events, publicKey), true],
+  [
+    "HMAC forgery, PEM key",
+    verifyAuditChain(forge(events, publicPem), publicPem),
+    false,
+  ],
+  [
+    "HMAC forgery, KeyObject",
+    verifyAuditChain(forge(events, publicPem), publicKey),
+    false,
+  ],
+];
+
+let failed = false;
+for (const [name, result, expected] of checks) {
+  const ok = result.valid === expected;
+  if (!ok) failed = true;
+  console.log(`${ok ? "✅" : "❌"} ${name}: valid=${result.valid}`);
+}
+process.exit(failed ? 1 : 0);
@@ -8,34 +8,41 @@ const auditEvents = [];
 
 app.use(express.json());
 
-// Endpoint to receive audit events
+// Endpoint to receive audit events (a single event or a batch array)
 app.post('/audit', (req, res) => {
-  const auditEvent = req.body;
+  const batch = Array.isArray(req.body) ? req.body : [req.body];
   const timestamp = new Date().toLocaleString();
-  
-  // Store the event
-  auditEvents.push({
-    ...auditEvent,
-    receivedAt: timestamp
-  });
-  
-  // Log the event
-  console.log('\n📊 AUDIT EVENT RECEIVED:');
-  console.log('⏰ Time:', timestamp);
-  console.log('👤 User ID:', auditEvent.userId);
-  console.log('🛣️  Route:', auditEvent.route);
-  console.log('📝 Method:', auditEvent.method);
-  console.log('⏱️  Duration:', auditEvent.duration + 's');
-  console.log('🌍 Location:', `${auditEvent.city}, ${auditEvent.country}`);
-  console.log('📱 User Agent:', auditEvent.userAgent?.substring(0, 50) + '...');
-  console.log('📊 Status Code:', auditEvent.statusCode);
-  console.log('📦 Request Size:', auditEvent.requestSize + ' bytes');
-  console.log('📦 Response Size:', auditEvent.responseSize + ' bytes');
-  console.log('📍 IP:', auditEvent.ip);
-  console.log('🎯 Session ID:', auditEvent.sessionId);
-  console.log('─'.repeat(50));
-  
-  res.json({ success: true, message: 'Audit event logged' });
+
+  for (const auditEvent of batch) {
+    // Store the event
+    auditEvents.push({
+      ...auditEvent,
+      receivedAt: timestamp
+    });
+
+    // Log the event
+    console.log('\n📊 AUDIT EVENT RECEIVED:');
+    console.log('⏰ Time:', timestamp);
+    console.log('👤 User ID:', auditEvent.userId);
+    console.log('🛣️  Route:', auditEvent.route);
+    console.log('📝 Method:', auditEvent.method);
+    console.log('⏱️  Duration:', auditEvent.duration + 'ms');
+    console.log('🌍 Location:', `${auditEvent.city}, ${auditEvent.country}`);
+    console.log('📱 Client:', auditEvent.browser
+      ? `${auditEvent.browser.name ?? 'Unknown'} ${auditEvent.browser.version ?? ''} on ${auditEvent.os.name ?? 'Unknown'} (${auditEvent.device.type})`
+      : auditEvent.userAgent?.substring(0, 50) + '...');
+    if (auditEvent.isBot) {
+      console.log('🤖 Bot:', `${auditEvent.bot.name} (${auditEvent.bot.category})`);
+    }
+    console.log('📊 Status Code:', auditEvent.statusCode);
+    console.log('📦 Request Size:', auditEvent.requestSize + ' bytes');
+    console.log('📦 Response Size:', auditEvent.responseSize + ' bytes');
+    console.log('📍 IP:', auditEvent.ip);
+    console.log('🎯 Session ID:', auditEvent.sessionId);
+    console.log('─'.repeat(50));
+  }
+
+  res.json({ success: true, message: `${batch.length} audit event(s) logged` });
 });
 
 // Endpoint to view all audit events
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+// Runs the Postgres, MongoDB, Kafka and syslog transports against
+// in-process stand-ins: fake clients for the databases and the broker,
+// local UDP and TCP servers for syslog.
+
+import dgram from "dgram";
+import net from "net";
+import {
+  createKafkaTransport,
+  createMongoTransport,
+  createPostgresTransport,
+  createSyslogTransport,
+} from "../index.js";
+import { withRetry } from "../src/retry.js";
+
+const events = [1, 2, 3, 4, 5].map((n) => ({
+  event: "order.created",
+  requestId: `req-${n}`,
+  userId: `user-${n % 2}`,
+  timestamp: new Date().toISOString(),
+  statusCode: 201,
+}));
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function postgres() {
+  const rows = [];
+  let calls = 0;
+  const pool = {
+    async query(text, values = []) {
+      if (!text.startsWith("INSERT")) return;
+      // The second statement fails once, after the first was committed
+      if (++calls === 2) throw new Error("connection reset");
+      const columns = text.match(/\(([^)]*)\) VALUES/)[1].split(", ").length;
+      for (let i = 0; i < values.length; i += columns) {
+        rows.push(JSON.parse(values[i + columns - 1]));
+      }
+    },
+  };
+  const transport = withRetry(
+    createPostgresTransport({ pool, maxRowsPerInsert: 2, createTable: true }),
+    { retries: 2, minDelayMs: 1 }
+  );
+  await transport.send(events);
+  assert(rows.length === 5, `expected 5 rows, got ${rows.length}`);
+  return `${rows.length} rows, no duplicates after a failed statement`;
+}
+
+async function mongo() {
+  const docs = [];
+  let calls = 0;
+  const collection = {
+    async insertMany(batch, options) {
+      assert(options.ordered === false, "inserts should be unordered");
+      // The first call writes everything but the 2nd and 4th document
+      if (++calls === 1) {
+        const failed = [1, 3];
+        batch.forEach((doc, i) => failed.includes(i) || docs.push(doc));
+        const err = new Error("E11000 duplicate key");
+        err.writeErrors = failed.map((index) => ({ index, code: 11000 }));
+        throw err;
+      }
+      docs.push(...batch);
+    },
+  };
+  const transport = withRetry(createMongoTransport({ collection }), {
+    retries: 2,
+    minDelayMs: 1,
+  });
+  await transport.send(events);
+  const ids = docs.map((doc) => doc.requestId).sort();
+  assert(
+    ids.join() === events.map((event) => event.requestId).join(),
+    `expected each event once, got ${ids.join()}`
+  );
+  return `${docs.length} documents, failed inserts retried alone`;
+}
+
+async function kafka() {
+  const sent = [];
+  const producer = { send: async (record) => sent.push(record) };
+  const transport = createKafkaTransport({ topic: "audit", producer });
+  await transport.send(events);
+  const { topic, acks, messages } = sent[0];
+  assert(topic === "audit" && acks === -1, "wrong topic or acks");
+  assert(messages.length === 5, `expected 5 messages, got ${messages.length}`);
+  assert(messages[0].key === "user-1", "messages should be keyed by userId");
+  assert(messages[0].headers.event === "order.created", "missing event header");
+  return `${messages.length} messages keyed by userId`;
+}
+
+async function syslogUdp() {
+  const server = dgram.createSocket("udp4");
+  const received = [];
+  server.on("message", (message) => received.push(message.toString()));
+  await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+
+  const transport = createSyslogTransport({
+    port: server.address().port,
+    maxMessageSize: 2048,
+  });
+  await transport.send([...events, { event: "big", blob: "x".repeat(5000) }]);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  await transport.close();
+  server.close();
+
+  assert(received.length === 6, `expected 6 datagrams, got ${received.length}`);
+  assert(received[0].startsWith("<"), "not an RFC 5424 message");
+  assert(Buffer.byteLength(received[5]) === 2048, "big event not truncated");
+  return `${received.length} datagrams, large event truncated`;
+}
+
+async function syslogTcp() {
+  let data = "";
+  const server = net.createServer((socket) => {
+    socket.on("data", (chunk) => (data += chunk));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const transport = createSyslogTransport({
+    port: server.address().port,
+    protocol: "tcp",
+  });
+  await transport.send(events);
+  await transport.close();
+  await new Promise((resolve) => server.close(resolve));
+
+  // Octet-counting: "<length> <message>" back to back
+  let count = 0;
+  for (let rest = Buffer.from(data); rest.length; count++) {
+    const space = rest.indexOf(" ");
+    const length = Number(rest.subarray(0, space).toString());
+    rest = rest.subarray(space + 1 + length);
+  }
+  assert(count === 5, `expected 5 framed messages, got ${count}`);
+  return `${count} octet-counted messages`;
+}
+
+let failed = false;
+for (const [name, check] of [
+  ["postgres", postgres],
+  ["mongodb", mongo],
+  ["kafka", kafka],
+  ["syslog udp", syslogUdp],
+  ["syslog tcp", syslogTcp],
+]) {
+  try {
+    console.log(`✅ ${name}: ${await check()}`);
+  } catch (err) {
+    console.log(`❌ ${name}: ${err.message}`);
+    failed = true;
+  }
+}
+process.exit(failed ? 1 : 0);